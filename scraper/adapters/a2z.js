@@ -0,0 +1,169 @@
+import { waitForStableContent } from '../helpers.js';
+
+// Exhibitor rows (EventMap table) or name links
+const LIST_SELECTOR = 'tbody tr[data-boothid], .exhibitor-name, a[href*="Exhibitor"]';
+
+export async function scrapeA2Z(page) {
+  const exhibitors = [];
+  
+  console.log('Scraping A2Z page...');
+  
+  // Wait for content to load
+  try {
+    await page.waitForSelector('tbody tr[data-boothid], .exhibitor-name, a[href*="Exhibitor"]', { 
+      timeout: 20000,
+      visible: true 
+    });
+  } catch (err) {
+    console.log('Content not found with standard selector, trying alternative...');
+    await page.waitForSelector('body', { timeout: 10000 }).catch(() => {});
+  }
+  
+  await waitForStableContent(page, { selector: LIST_SELECTOR }); // Wait for dynamic content to load
+  
+  // First, try to extract from EventMap table structure (if present)
+  const eventMapData = await page.evaluate(() => {
+    const results = [];
+    const seen = new Set();
+    
+    // Check for EventMap table structure
+    const tableRows = document.querySelectorAll('tbody tr[data-boothid]');
+    
+    if (tableRows.length > 0) {
+      console.log(`Found ${tableRows.length} EventMap table rows`);
+      
+      tableRows.forEach(row => {
+        try {
+          // Extract company name from td.companyName a.exhibitorName
+          const companyNameCell = row.querySelector('td.companyName');
+          const companyNameLink = companyNameCell ? companyNameCell.querySelector('a.exhibitorName') : null;
+          const companyName = companyNameLink ? companyNameLink.textContent?.trim() : '';
+          // Exhibitor profile page (has website, description, address)
+          const detailUrl = companyNameLink ? companyNameLink.href || '' : '';
+          
+          // Extract booth number from td.boothLabel a with data-boothlabels
+          const boothLabelCell = row.querySelector('td.boothLabel');
+          const boothLabelLink = boothLabelCell ? boothLabelCell.querySelector('a.boothLabel') : null;
+          let boothNumber = '';
+          if (boothLabelLink) {
+            boothNumber = boothLabelLink.getAttribute('data-boothlabels') || 
+                         boothLabelLink.textContent?.trim() || '';
+          }
+          
+          // Extract booth ID from row attribute
+          const boothId = row.getAttribute('data-boothid') || '';
+          
+          if (companyName && companyName.length > 1) {
+            const uniqueKey = `${boothId}-${companyName.toLowerCase()}`;
+            if (!seen.has(uniqueKey)) {
+              seen.add(uniqueKey);
+              results.push({
+                companyName,
+                booth: boothNumber,
+                boothId,
+                detailUrl
+              });
+            }
+          }
+        } catch (err) {
+          console.error('Error extracting row data:', err);
+        }
+      });
+    }
+    
+    return results;
+  });
+
+  if (eventMapData.length > 0) {
+    console.log(`Extracted ${eventMapData.length} exhibitors from A2Z EventMap table`);
+    eventMapData.forEach(item => {
+      exhibitors.push({
+        companyName: item.companyName,
+        booth: item.booth || '',
+        website: '', // A2Z EventMap doesn't provide websites in the table (see crawlDetails)
+        detailUrl: item.detailUrl || '',
+        source: 'a2z'
+      });
+    });
+    return exhibitors;
+  }
+  
+  // Fallback to original A2Z scraper logic for non-EventMap pages
+  console.log('EventMap table not found, trying alternative A2Z selectors...');
+  
+  const selectors = [
+    '.exhibitor-name',
+    '.exhibitor-link',
+    'a[href*="Exhibitor"]',
+    '[id*="exhibitor"]'
+  ];
+
+  let elements = [];
+  for (const selector of selectors) {
+    elements = await page.$$(selector);
+    if (elements.length > 0) break;
+  }
+
+  const baseUrl = page.url();
+  
+  for (const element of elements) {
+    try {
+      const data = await element.evaluate((el, base) => {
+        const companyName = el.textContent?.trim() || 
+                            el.querySelector('h3, h4, .name, .company-name')?.textContent?.trim() ||
+                            el.getAttribute('title') || 
+                            el.getAttribute('alt') || '';
+        
+        // Try to find website link
+        let website = '';
+        const websiteLink = el.querySelector('a[href*="http"]:not([href*="a2zinc.net"]):not([href*="EventMap"])') ||
+                           el.closest('.exhibitor-item, .exhibitor-card')?.querySelector('a[href*="http"]:not([href*="a2zinc.net"])');
+        
+        if (websiteLink) {
+          website = websiteLink.href || '';
+          // Validate it's not an internal link
+          try {
+            const url = new URL(website);
+            const hostname = url.hostname.toLowerCase();
+            if (hostname.includes('a2zinc.net') || hostname.includes('eventmap')) {
+              website = '';
+            }
+          } catch (e) {
+            website = '';
+          }
+        }
+        
+        // The element itself is often the link to the exhibitor profile
+        const detailUrl = el.tagName === 'A' && /exhibitor/i.test(el.getAttribute('href') || '') ? el.href : '';
+        
+        return { companyName, website, detailUrl };
+      }, baseUrl);
+
+      if (data.companyName && data.companyName.length > 1) {
+        exhibitors.push({
+          companyName: data.companyName,
+          website: data.website || '',
+          detailUrl: data.detailUrl || '',
+          source: 'a2z'
+        });
+      }
+    } catch (err) {
+      console.error('Error extracting exhibitor:', err);
+    }
+  }
+
+  return exhibitors;
+}
+
+/**
+ * A2Z / EventMap exhibitor list
+ */
+export default {
+  name: 'a2z',
+  match: (url) => url.includes('a2zinc.net'),
+  fingerprints: ['tbody tr[data-boothid]', 'a.exhibitorName', 'script[src*="a2zinc.net"]'],
+  scrape: scrapeA2Z,
+  pagination: { strategy: 'next-button', maxPages: 5 },
+  listSelector: LIST_SELECTOR,
+  defaultOptions: {}
+};
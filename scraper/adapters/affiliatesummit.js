@@ -0,0 +1,46 @@
+export async function scrapeAffiliateSummit(page) {
+  const exhibitors = [];
+  
+  // Affiliate Summit uses specific structure
+  await page.waitForSelector('body', { timeout: 10000 });
+  
+  const exhibitorsData = await page.evaluate(() => {
+    const results = [];
+    const items = document.querySelectorAll('[class*="exhibitor"], [data-exhibitor]');
+    
+    items.forEach(item => {
+      const name = item.textContent?.trim() || 
+                   item.querySelector('h1, h2, h3, h4')?.textContent?.trim() || '';
+      const link = item.querySelector('a[href*="http"]')?.href || '';
+      
+      if (name && name.length > 1) {
+        results.push({ name, link });
+      }
+    });
+    
+    return results;
+  });
+
+  exhibitorsData.forEach(item => {
+    exhibitors.push({
+      companyName: item.name,
+      website: item.link || '',
+      source: 'affiliatesummit'
+    });
+  });
+
+  return exhibitors;
+}
+
+/**
+ * Affiliate Summit exhibitor list
+ */
+export default {
+  name: 'affiliatesummit',
+  match: (url) => url.includes('affiliatesummit.com'),
+  fingerprints: ['script[src*="affiliatesummit.com"]'],
+  scrape: scrapeAffiliateSummit,
+  pagination: { strategy: 'next-button', maxPages: 5 },
+  listSelector: '[class*="exhibitor"], [data-exhibitor]',
+  defaultOptions: {}
+};
@@ -0,0 +1,401 @@
+import { createCandidateCollector } from '../confidence.js';
+
+// Smallest sibling group that can count as an exhibitor list
+const MIN_GROUP_SIZE = 5;
+
+// Page chrome that is never part of the exhibitor list
+const CHROME_SELECTOR = 'nav, header, footer, aside, form, select, [role="navigation"], [role="menu"], [role="banner"], [role="contentinfo"]';
+
+/**
+ * Find the exhibitor list by structure instead of by selector: the largest group of
+ * sibling elements sharing the same tag/class signature, outside nav, header and footer.
+ * Within the group, the sub-element that holds the name, the booth and the links is
+ * inferred from what the items have in common.
+ * @param {import('puppeteer').Page} page - The Puppeteer page
+ * @returns {Promise<{ selector: string, items: object[] }|null>} - The detected list, or null if nothing list-like was found
+ */
+async function extractRepeatedStructure(page) {
+  return page.evaluate((minGroupSize, chromeSelector) => {
+    const clean = (text) => (text || '').replace(/\s+/g, ' ').trim();
+    // Document-order IDs, so other passes can tell when they report the same element
+    const elementIds = new Map([...document.querySelectorAll('*')].map((el, i) => [el, i]));
+    const filterWords = ['view', 'more', 'details', 'click', 'read', 'learn', 'see', 'show',
+                         'all', 'next', 'previous', 'page', 'home', 'about', 'contact',
+                         'login', 'register', 'search', 'filter', 'sort', 'view details', 'read more', 'learn more'];
+    const chromeNames = /(^|[-_\s])(nav|navbar|menu|breadcrumb|footer|header|sidebar|filter|facet|pagination|pager|social|cookie)([-_\s]|$)/i;
+    const boothPattern = /^(booth|stand|table)?\s*(#|no\.?|number)?\s*:?\s*[A-Z]{0,3}[-\s]?\d{1,5}[A-Z]?$/i;
+
+    // Tag plus stable classes; state classes (active, odd...) and generated ones with digits are ignored
+    const signature = (el) => {
+      const classes = [...el.classList]
+        .filter(c => !/\d/.test(c) && !/^(active|selected|current|odd|even|first|last|hidden|show|open)$/i.test(c))
+        .sort();
+      return [el.tagName.toLowerCase(), ...classes].join('.');
+    };
+
+    const isChrome = (el) => {
+      if (el.closest(chromeSelector)) return true;
+      for (let node = el; node && node !== document.body; node = node.parentElement) {
+        if (chromeNames.test(`${node.id || ''} ${typeof node.className === 'string' ? node.className : ''}`)) return true;
+      }
+      return false;
+    };
+
+    // Group every element's children by signature and keep the best-scoring group
+    let best = null;
+    document.querySelectorAll('body, body *').forEach(parent => {
+      if (parent.children.length < minGroupSize || ['SCRIPT', 'STYLE', 'SVG', 'SELECT'].includes(parent.tagName)) return;
+
+      const groups = new Map();
+      for (const child of parent.children) {
+        const sig = signature(child);
+        if (!groups.has(sig)) groups.set(sig, []);
+        groups.get(sig).push(child);
+      }
+
+      groups.forEach((items, sig) => {
+        if (items.length < minGroupSize) return;
+
+        const texts = items.map(item => clean(item.innerText || item.textContent));
+        const valid = texts.filter(text => text.length > 2 && text.length < 500 && !filterWords.includes(text.toLowerCase()));
+        if (valid.length < minGroupSize) return;
+        // Repeated "View details" buttons or tag chips are not a company list
+        if (new Set(valid.map(t => t.toLowerCase())).size / valid.length < 0.5) return;
+        if (isChrome(parent)) return;
+
+        // Richer items (a name plus booth/description/link) beat one-word menu entries
+        const avgLength = valid.reduce((sum, t) => sum + t.length, 0) / valid.length;
+        const withLinks = items.filter(item => item.matches('a[href]') || item.querySelector('a[href]')).length;
+        const score = valid.length * (1 + Math.min(avgLength, 60) / 60) * (withLinks >= items.length / 2 ? 1.5 : 1);
+
+        if (!best || score > best.score) {
+          best = { parent, sig, items, score };
+        }
+      });
+    });
+
+    if (!best) return null;
+
+    // Path of an element relative to its list item, e.g. "div.info:0/h3:0"
+    const relativePath = (el, item) => {
+      const parts = [];
+      for (let node = el; node && node !== item; node = node.parentElement) {
+        const sig = signature(node);
+        const sameSig = [...node.parentElement.children].filter(c => signature(c) === sig);
+        parts.unshift(`${sig}:${sameSig.indexOf(node)}`);
+      }
+      return parts.join('/') || '.';
+    };
+
+    // Collect the text of every text-bearing sub-element, keyed by its relative path
+    const columns = new Map();
+    best.items.forEach((item, index) => {
+      [item, ...item.querySelectorAll('*')].forEach(el => {
+        const ownText = clean([...el.childNodes].filter(n => n.nodeType === Node.TEXT_NODE).map(n => n.textContent).join(' '));
+        if (!ownText) return;
+        const key = relativePath(el, item);
+        if (!columns.has(key)) columns.set(key, { values: new Map(), el });
+        const column = columns.get(key);
+        if (!column.values.has(index)) column.values.set(index, ownText);
+      });
+    });
+
+    const itemCount = best.items.length;
+    let namePath = null;
+    let nameScore = 0;
+    let boothPath = null;
+    let boothScore = 0;
+
+    columns.forEach((column, key) => {
+      const values = [...column.values.values()];
+      const coverage = values.length / itemCount;
+      const boothLike = values.filter(v => boothPattern.test(v)).length / values.length;
+      const hint = `${key} ${column.el.className || ''}`.toLowerCase();
+
+      if (coverage >= 0.5 && (boothLike >= 0.6 || (/booth|stand/.test(hint) && boothLike >= 0.3))) {
+        const score = coverage * (1 + boothLike);
+        if (score > boothScore) {
+          boothScore = score;
+          boothPath = key;
+        }
+        return;
+      }
+
+      if (coverage < 0.6) return;
+      const distinct = new Set(values.map(v => v.toLowerCase())).size / values.length;
+      const avgLength = values.reduce((sum, v) => sum + v.length, 0) / values.length;
+      if (distinct < 0.8 || avgLength < 2 || avgLength > 100) return;
+      if (values.filter(v => /^[\d\s\-()#.]+$/.test(v)).length / values.length > 0.5) return;
+
+      // Headings, links and "name"/"title" classes usually hold the company name
+      let score = coverage * distinct;
+      if (/(^|\/)(h[1-6]|strong|b)[.:]/.test(key) || /(name|title|company|exhibitor)/.test(hint)) score *= 2;
+      if (/(^|\/)a[.:]/.test(key)) score *= 1.3;
+      if (avgLength > 60) score *= 0.5;
+      if (score > nameScore) {
+        nameScore = score;
+        namePath = key;
+      }
+    });
+
+    const items = best.items.map((item, index) => {
+      const firstLine = clean((item.innerText || item.textContent || '').split('\n').find(line => clean(line)));
+      const name = (namePath && columns.get(namePath).values.get(index)) || firstLine;
+      const boothText = boothPath ? columns.get(boothPath).values.get(index) || '' : '';
+      const booth = boothText.replace(/^(booth|stand|table)\s*(#|no\.?|number)?\s*:?\s*/i, '').trim();
+      const links = [...(item.matches('a[href]') ? [item] : []), ...item.querySelectorAll('a[href]')]
+        .map(a => a.href)
+        .filter(href => href.startsWith('http'));
+      return { name, booth, links, element: elementIds.get(item) };
+    });
+
+    const parentSig = signature(best.parent);
+    return {
+      selector: `${parentSig} > ${best.sig}`,
+      items
+    };
+  }, MIN_GROUP_SIZE, CHROME_SELECTOR);
+}
+
+// Platforms whose pages are exhibitor profiles rather than company websites
+const PLATFORM_DOMAINS = ['mapyourshow.com', 'a2zinc.net', 'smallworldlabs.com',
+                          'affiliatesummit.com', 'goeshow.com', 'manife.st', 'eventmap'];
+const SOCIAL_DOMAINS = ['facebook.com', 'twitter.com', 'linkedin.com', 'instagram.com', 'youtube.com'];
+
+/**
+ * Sort a list item's links into the company website and the exhibitor profile page
+ * @param {string[]} links - Absolute URLs found in the list item
+ * @param {string} baseUrl - URL of the listing page
+ * @returns {{ website: string, detailUrl: string }}
+ */
+function classifyLinks(links, baseUrl) {
+  let currentDomain = '';
+  try {
+    currentDomain = new URL(baseUrl).hostname.toLowerCase().replace('www.', '');
+  } catch (e) {
+    // Leave empty - every link then counts as external
+  }
+
+  let website = '';
+  let detailUrl = '';
+  for (const link of links) {
+    let hostname;
+    try {
+      hostname = new URL(link).hostname.toLowerCase().replace('www.', '');
+    } catch (e) {
+      continue;
+    }
+    if (SOCIAL_DOMAINS.some(d => hostname.includes(d))) continue;
+
+    if (hostname === currentDomain || PLATFORM_DOMAINS.some(d => hostname.includes(d))) {
+      if (!detailUrl && link.split('#')[0] !== baseUrl.split('#')[0]) detailUrl = link;
+    } else if (!website) {
+      website = link;
+    }
+  }
+  return { website, detailUrl };
+}
+
+// Common patterns, and how much a match says about the text being a company name
+const SELECTOR_WEIGHTS = {
+  'a[href*="exhibitor"]': 0.8,
+  'a[href*="company"]': 0.7,
+  '[class*="exhibitor"]': 0.7,
+  '[class*="company"]': 0.6,
+  '[class*="vendor"]': 0.6,
+  '[class*="booth"]': 0.5,
+  '[id*="exhibitor"]': 0.6,
+  'table td a': 0.4,
+  'ul li a': 0.2,
+  '.card a': 0.4,
+  '.item a': 0.3,
+  'h2 a': 0.4,
+  'h3 a': 0.4,
+  'h4 a': 0.4
+};
+// Last resort when none of the patterns above produced a name
+const FALLBACK_SELECTOR = 'li, tr, .list-item';
+const FALLBACK_WEIGHT = 0.1;
+// A detected repeated structure is strong evidence of an exhibitor list
+const STRUCTURE_WEIGHT = 0.8;
+
+// The structure pass, the selector patterns and the fallback all look at the same elements,
+// so each rejected name is reported once per element
+function reportRejectedOnce(onRejected) {
+  const reported = new Set();
+  return ({ element, ...candidate }) => {
+    const key = `${candidate.name.toLowerCase()}|${element ?? candidate.selector}`;
+    if (reported.has(key)) return;
+    reported.add(key);
+    onRejected(candidate);
+  };
+}
+
+function toExhibitor(accepted, fields) {
+  const exhibitor = {
+    companyName: accepted.name,
+    ...fields,
+    source: 'generic',
+    confidence: accepted.confidence,
+    signals: accepted.signals
+  };
+  if (!exhibitor.detailUrl) delete exhibitor.detailUrl;
+  return exhibitor;
+}
+
+export async function scrapeGeneric(page, options = {}) {
+  const exhibitors = [];
+  
+  await page.waitForSelector('body', { timeout: 10000 });
+  
+  // Generic scraper - tries to find company names in common patterns
+  const baseUrl = page.url();
+  const onRejected = options.onRejected && reportRejectedOnce(options.onRejected);
+
+  // Prefer the page's repeated list structure; the selector guesses below pick up menus and footers
+  const structure = await extractRepeatedStructure(page).catch((err) => {
+    console.log('Structure detection failed:', err.message);
+    return null;
+  });
+  if (structure) {
+    const collector = createCandidateCollector({ minLength: 2, maxLength: 200, onRejected });
+    structure.items.forEach(item => {
+      const { website, detailUrl } = classifyLinks(item.links, baseUrl);
+      const accepted = collector.add(item.name, {
+        selector: structure.selector,
+        selectorWeight: STRUCTURE_WEIGHT,
+        hasLink: item.links.length > 0,
+        hasBooth: !!item.booth,
+        element: item.element
+      });
+      if (accepted) {
+        exhibitors.push(toExhibitor(accepted, { booth: item.booth, website, detailUrl }));
+      }
+    });
+
+    if (exhibitors.length >= MIN_GROUP_SIZE) {
+      console.log(`Found repeated list structure "${structure.selector}" with ${exhibitors.length} exhibitors`);
+      return exhibitors;
+    }
+    exhibitors.length = 0;
+  }
+  console.log('No repeated list structure found, falling back to common selectors...');
+
+  // Collect raw candidates in the page; filtering and scoring happen below
+  const { results, fallback } = await page.evaluate((base, selectors, fallbackSelector) => {
+    const results = [];
+    // Element IDs match the ones from extractRepeatedStructure (document order)
+    const elementIds = new Map([...document.querySelectorAll('*')].map((el, i) => [el, i]));
+    
+    // Get current page domain to skip internal links
+    let currentDomain = '';
+    try {
+      currentDomain = new URL(base || window.location.href).hostname.toLowerCase().replace('www.', '');
+    } catch (e) {
+      currentDomain = window.location.hostname.toLowerCase().replace('www.', '');
+    }
+    
+    // Skip domains (exhibitor platforms)
+    const skipDomains = ['mapyourshow.com', 'a2zinc.net', 'smallworldlabs.com', 
+                         'affiliatesummit.com', 'goeshow.com', 'manife.st', 'eventmap'];
+    
+    // Helper to check if link is external website
+    function isExternalWebsite(href) {
+      if (!href || !href.startsWith('http')) return false;
+      try {
+        const url = new URL(href);
+        const hostname = url.hostname.toLowerCase().replace('www.', '');
+        
+        // Skip if same domain or exhibitor platform
+        if (hostname === currentDomain || skipDomains.some(d => hostname.includes(d))) {
+          return false;
+        }
+        
+        // Skip social media
+        const socialDomains = ['facebook.com', 'twitter.com', 'linkedin.com', 'instagram.com', 'youtube.com'];
+        if (socialDomains.some(d => hostname.includes(d))) {
+          return false;
+        }
+        
+        // Must be a proper domain
+        return hostname.includes('.com') || hostname.includes('.net') || 
+               hostname.includes('.org') || hostname.includes('.io') || 
+               hostname.includes('.co');
+      } catch (e) {
+        return false;
+      }
+    }
+    
+    // Look for common patterns - prioritize more specific selectors
+    selectors.forEach(selector => {
+      try {
+        const items = document.querySelectorAll(selector);
+        items.forEach(item => {
+          const text = item.textContent?.trim() || '';
+          let link = item.href?.startsWith('http') ? item.href : 
+                     item.querySelector('a[href*="http"]')?.href || '';
+          
+          // Filter link - only keep external websites
+          if (link && !isExternalWebsite(link)) {
+            link = '';
+          }
+          
+          results.push({ name: text, link, selector, element: elementIds.get(item) });
+        });
+      } catch (e) {
+        // Continue if selector fails
+      }
+    });
+    
+    // List items or table rows, used if none of the patterns yields a company
+    const fallback = [];
+    document.querySelectorAll(fallbackSelector).forEach(item => {
+      const text = item.textContent?.trim().split('\n')[0] || '';
+      let link = item.querySelector('a[href*="http"]')?.href || '';
+      
+      // Filter link
+      if (link && !isExternalWebsite(link)) {
+        link = '';
+      }
+      
+      fallback.push({ name: text, link, selector: fallbackSelector, element: elementIds.get(item) });
+    });
+    
+    return { results, fallback };
+  }, baseUrl, Object.keys(SELECTOR_WEIGHTS), FALLBACK_SELECTOR);
+
+  const collect = (candidates) => {
+    const collector = createCandidateCollector({ onRejected });
+    candidates.forEach(item => {
+      const accepted = collector.add(item.name, {
+        selector: item.selector,
+        selectorWeight: SELECTOR_WEIGHTS[item.selector] ?? FALLBACK_WEIGHT,
+        hasLink: !!item.link,
+        element: item.element
+      });
+      if (accepted) {
+        exhibitors.push(toExhibitor(accepted, { website: item.link || '' }));
+      }
+    });
+  };
+
+  collect(results);
+  // If no results, try extracting from list items or table rows
+  if (exhibitors.length === 0) {
+    collect(fallback);
+  }
+
+  return exhibitors;
+}
+
+/**
+ * Fallback adapter for unknown directories - always matches, so it must stay last in the registry
+ */
+export default {
+  name: 'generic',
+  match: () => true,
+  scrape: scrapeGeneric,
+  pagination: { strategy: 'next-button', maxPages: 5 },
+  listSelector: null,
+  defaultOptions: {}
+};
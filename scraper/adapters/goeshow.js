@@ -0,0 +1,45 @@
+export async function scrapeGoShow(page) {
+  const exhibitors = [];
+  
+  await page.waitForSelector('body', { timeout: 10000 });
+  
+  const exhibitorsData = await page.evaluate(() => {
+    const results = [];
+    const items = document.querySelectorAll('[class*="exhibitor"], [class*="vendor"]');
+    
+    items.forEach(item => {
+      const name = item.textContent?.trim() || 
+                   item.querySelector('h1, h2, h3, h4, .name')?.textContent?.trim() || '';
+      const link = item.querySelector('a[href*="http"]')?.href || '';
+      
+      if (name && name.length > 1) {
+        results.push({ name, link });
+      }
+    });
+    
+    return results;
+  });
+
+  exhibitorsData.forEach(item => {
+    exhibitors.push({
+      companyName: item.name,
+      website: item.link || '',
+      source: 'goeshow'
+    });
+  });
+
+  return exhibitors;
+}
+
+/**
+ * GoExpo (goeshow.com) exhibitor list
+ */
+export default {
+  name: 'goeshow',
+  match: (url) => url.includes('goeshow.com'),
+  fingerprints: ['script[src*="goeshow.com"]', 'link[href*="goeshow.com"]'],
+  scrape: scrapeGoShow,
+  pagination: { strategy: 'next-button', maxPages: 5 },
+  listSelector: '[class*="exhibitor"], [class*="vendor"]',
+  defaultOptions: {}
+};
@@ -0,0 +1,143 @@
+import manifest from './manifest.js';
+import mapyourshow from './mapyourshow.js';
+import a2z from './a2z.js';
+import smallworldlabs from './smallworldlabs.js';
+import affiliatesummit from './affiliatesummit.js';
+import goeshow from './goeshow.js';
+import wpma from './wpma.js';
+import surfexpo from './surfexpo.js';
+import generic from './generic.js';
+
+/**
+ * A platform adapter describes everything the scraper needs to know about one
+ * exhibitor directory platform.
+ * @typedef {object} Adapter
+ * @property {string} name - Unique platform name (reported as the page type)
+ * @property {(url: string) => boolean} match - Returns true if the URL belongs to this platform
+ * @property {string[]} [fingerprints] - DOM selectors only this platform's pages contain; used when the URL doesn't give the platform away (custom domains)
+ * @property {(page: import('puppeteer').Page, options?: object) => Promise<object[]>} scrape - Extracts exhibitors from the current page
+ * @property {{ strategy: string, maxPages: number }} pagination - Pagination strategy name (see pagination.js), page limit and strategy settings (nextSelector, loadMoreSelector, scrollContainerSelector)
+ * @property {string|null} [listSelector] - Selector for one exhibitor list item; used to tell when the list has finished loading
+ * @property {object} defaultOptions - Scrape options applied when the caller does not set them
+ * @property {string[]} [allowResources] - Resource types this platform needs even when request blocking would abort them
+ * @property {string[]} [allowHosts] - Hosts this platform needs even when they are on the blocked analytics list
+ * @property {(page: import('puppeteer').Page) => Promise<object>} [extractDetails] - Optional profile page extractor used by the detail crawl
+ */
+
+// Order matters: the first adapter whose matcher accepts the URL wins.
+// Adapters registered at runtime are checked before the built-in ones so a more
+// specific definition can take over part of a platform's URLs.
+// The generic adapter matches everything and is always kept last.
+const adapters = [
+  manifest,
+  mapyourshow,
+  a2z,
+  smallworldlabs,
+  affiliatesummit,
+  goeshow,
+  wpma,
+  surfexpo
+];
+
+/**
+ * Register a new platform adapter (or replace an existing one with the same name)
+ * @param {Adapter} adapter - The adapter to register
+ */
+export function registerAdapter(adapter) {
+  if (!adapter || !adapter.name || typeof adapter.match !== 'function' || typeof adapter.scrape !== 'function') {
+    throw new Error('Adapter must have a name, a match function and a scrape function');
+  }
+
+  const normalized = {
+    pagination: generic.pagination,
+    defaultOptions: {},
+    ...adapter
+  };
+
+  const existingIndex = adapters.findIndex(a => a.name === normalized.name);
+  if (existingIndex !== -1) {
+    adapters[existingIndex] = normalized;
+  } else {
+    adapters.unshift(normalized);
+  }
+}
+
+/**
+ * Get an adapter by name
+ * @param {string} name - The adapter name
+ * @returns {Adapter|null} - The adapter, or null if none is registered under that name
+ */
+export function getAdapter(name) {
+  if (name === generic.name) return generic;
+  return adapters.find(a => a.name === name) || null;
+}
+
+/**
+ * List all registered adapters, generic last
+ * @returns {Adapter[]}
+ */
+export function listAdapters() {
+  return [...adapters, generic];
+}
+
+/**
+ * Find the adapter for a URL, falling back to the generic adapter
+ * @param {string} url - The page URL
+ * @returns {Adapter}
+ */
+export function detectAdapter(url) {
+  return adapters.find(a => a.match(url)) || generic;
+}
+
+/**
+ * Find the adapter for a page that has already been loaded. The URL is checked first;
+ * if it only matches the generic adapter, the page is searched for each adapter's
+ * fingerprint selectors so platforms behind a show's own domain are still recognised.
+ * @param {import('puppeteer').Page} page - The Puppeteer page, after navigation
+ * @param {string} url - The requested URL
+ * @returns {Promise<{ adapter: Adapter, signal: object }>} - The adapter and the signal that matched
+ *   ({ type: 'url', host }, { type: 'fingerprint', selector, count } or { type: 'fallback' })
+ */
+export async function detectAdapterFromPage(page, url) {
+  const byUrl = adapters.find(a => a.match(url));
+  if (byUrl) {
+    let host = url;
+    try {
+      host = new URL(url).hostname;
+    } catch (e) {
+      // Keep the raw URL
+    }
+    return { adapter: byUrl, signal: { type: 'url', host } };
+  }
+
+  const candidates = adapters
+    .filter(a => Array.isArray(a.fingerprints) && a.fingerprints.length > 0)
+    .map(a => ({ name: a.name, selectors: a.fingerprints }));
+
+  let hit = null;
+  try {
+    hit = await page.evaluate((list) => {
+      for (const { name, selectors } of list) {
+        for (const selector of selectors) {
+          try {
+            const count = document.querySelectorAll(selector).length;
+            if (count > 0) return { name, selector, count };
+          } catch (e) {
+            // Invalid selector - try the next one
+          }
+        }
+      }
+      return null;
+    }, candidates);
+  } catch (error) {
+    console.log(`Fingerprint detection failed: ${error.message}`);
+  }
+
+  if (hit) {
+    return {
+      adapter: adapters.find(a => a.name === hit.name),
+      signal: { type: 'fingerprint', selector: hit.selector, count: hit.count }
+    };
+  }
+  return { adapter: generic, signal: { type: 'fallback' } };
+}
@@ -0,0 +1,166 @@
+import { waitForStableContent } from '../helpers.js';
+import { createCandidateCollector } from '../confidence.js';
+
+// Company names are listed in p.company-name blocks
+const LIST_SELECTOR = 'p.company-name';
+
+// Where company names are looked for, best first
+const SELECTORS = {
+  companyName: LIST_SELECTOR,
+  alternative: '.company-name, [class*="company-name"], p[class*="name"]',
+  textPattern: 'p, div with <br> lines',
+  columns: '.col-lg-4, .col-md-4, [class*="col-"]'
+};
+
+// How much a match on each of them says about the text being a company name
+const SELECTOR_WEIGHTS = {
+  [SELECTORS.companyName]: 0.9,
+  [SELECTORS.alternative]: 0.6,
+  [SELECTORS.textPattern]: 0.3,
+  [SELECTORS.columns]: 0.3,
+  body: 0.1
+};
+
+export async function scrapeManifest(page, options = {}) {
+  const exhibitors = [];
+  
+  console.log('Scraping Manifest.st page...');
+  
+  // Wait for content to load
+  try {
+    await page.waitForSelector('body', { timeout: 15000 });
+    await waitForStableContent(page, { selector: LIST_SELECTOR }); // Wait for dynamic content
+  } catch (err) {
+    console.log('Page load timeout, continuing anyway...');
+  }
+  
+  // Manifest.st has company names in <p class="company-name"> separated by <br>.
+  // The page only collects raw lines; filtering and scoring happen below.
+  let candidates = { primary: [], columns: [] };
+  try {
+    candidates = await page.evaluate((selectors) => {
+    const primary = [];
+    
+    // Try multiple selectors - convert NodeList to Array for easier manipulation
+    let selector = selectors.companyName;
+    let companyNameElements = Array.from(document.querySelectorAll(selector));
+    
+    // If not found, try alternative selectors
+    if (companyNameElements.length === 0) {
+      selector = selectors.alternative;
+      companyNameElements = Array.from(document.querySelectorAll(selector));
+    }
+    
+    // If still not found, try to find by text content pattern
+    if (companyNameElements.length === 0) {
+      // Look for paragraphs/divs that contain company names (have <br> tags and multiple lines)
+      selector = selectors.textPattern;
+      const allElements = Array.from(document.querySelectorAll('p, div'));
+      companyNameElements = allElements.filter(p => {
+        return p.innerHTML && 
+               p.innerHTML.includes('<br') && 
+               p.textContent && 
+               p.textContent.trim().length > 10;
+      });
+    }
+    
+    // Process each element
+    companyNameElements.forEach(element => {
+      try {
+        // Get all text content and split by <br> tags
+        const html = element.innerHTML || '';
+        // Split by <br> or <br/> tags
+        html.split(/<br\s*\/?>/i).forEach(text => {
+          // Remove HTML entities and clean up
+          const tempDiv = document.createElement('div');
+          tempDiv.innerHTML = text.trim();
+          primary.push({ name: tempDiv.textContent || tempDiv.innerText || '', selector });
+        });
+      } catch (err) {
+        // Skip this element if there's an error
+      }
+    });
+    
+    // Bootstrap column divs, used if the company name blocks yield nothing
+    const columns = [];
+    const colElements = Array.from(document.querySelectorAll(selectors.columns));
+    colElements.forEach(col => {
+      try {
+        const text = col.textContent || col.innerText || '';
+        text.split('\n').forEach(line => {
+          columns.push({ name: line, selector: selectors.columns });
+        });
+      } catch (err) {
+        // Skip this column if there's an error
+      }
+    });
+    
+    return { primary, columns };
+    }, SELECTORS);
+  } catch (evalError) {
+    console.error('Error in page.evaluate for Manifest:', evalError.message);
+    // Try a simpler extraction method as fallback
+    try {
+      const lines = await page.evaluate(() => {
+        // Simple fallback: get all text from body and extract lines
+        const bodyText = document.body.innerText || document.body.textContent || '';
+        return bodyText.split('\n');
+      });
+      candidates = { primary: [], columns: lines.map(line => ({ name: line, selector: 'body' })) };
+    } catch (fallbackError) {
+      console.error('Fallback extraction also failed:', fallbackError.message);
+    }
+  }
+
+  const collect = (items, collectorOptions, limit = Infinity) => {
+    const collector = createCandidateCollector({ ...collectorOptions, maxLength: 199, onRejected: options.onRejected });
+    for (const item of items) {
+      if (exhibitors.length >= limit) break;
+      const accepted = collector.add(item.name, { selector: item.selector, selectorWeight: SELECTOR_WEIGHTS[item.selector] });
+      if (accepted) {
+        exhibitors.push({
+          companyName: accepted.name,
+          website: '',
+          source: 'manifest',
+          confidence: accepted.confidence,
+          signals: accepted.signals
+        });
+      }
+    }
+  };
+
+  collect(candidates.primary, {
+    minLength: 2,
+    excludePatterns: [
+      { pattern: /^[A-Z]\s*-\s*[A-Z]$/, reason: 'letter range header' }, // Like "A-F" or "Q - Z"
+      { pattern: /^Companies Who Attend Include:$/i, reason: 'section header' }
+    ]
+  });
+
+  // If still no results, fall back to the column (or whole page) lines
+  if (exhibitors.length === 0) {
+    collect(candidates.columns, {
+      minLength: 3,
+      excludePatterns: [
+        { pattern: /^[A-Z]\s*-\s*[A-Z]$/, reason: 'letter range header' },
+        { pattern: /companies|attending|who attend|include:/i, reason: 'section header' }
+      ]
+    }, 1000);
+  }
+
+  console.log(`Extracted ${exhibitors.length} companies from Manifest.st`);
+
+  return exhibitors;
+}
+
+/**
+ * Manifest.st attendee company list
+ */
+export default {
+  name: 'manifest',
+  match: (url) => url.includes('manife.st'),
+  scrape: scrapeManifest,
+  pagination: { strategy: 'next-button', maxPages: 20 }, // Multiple sections
+  listSelector: LIST_SELECTOR,
+  defaultOptions: {}
+};
@@ -0,0 +1,121 @@
+export async function scrapeMapYourShow(page) {
+  const exhibitors = [];
+  
+  // Try multiple selectors for MapYourShow
+  const selectors = [
+    '.exhibitor-item',
+    '.exhibitor-card',
+    '.exhibitor-list-item',
+    '[class*="exhibitor"]',
+    'a[href*="exhibitor"]'
+  ];
+
+  let elements = [];
+  for (const selector of selectors) {
+    elements = await page.$$(selector);
+    if (elements.length > 0) break;
+  }
+
+  const baseUrl = page.url();
+  
+  for (const element of elements) {
+    try {
+      const data = await element.evaluate((el, base) => {
+        const companyName = el.textContent?.trim() || 
+                           el.querySelector('h3, h4, .name, .company-name')?.textContent?.trim() || 
+                           el.getAttribute('title') || '';
+        
+        // Try to find website link - look for external links
+        let website = '';
+        const allLinks = el.querySelectorAll('a[href]');
+        
+        for (const link of allLinks) {
+          try {
+            let href = link.getAttribute('href') || '';
+            if (!href || href.startsWith('#') || href.startsWith('javascript:')) continue;
+            
+            // Convert relative to absolute
+            if (href.startsWith('//')) {
+              href = 'https:' + href;
+            } else if (href.startsWith('/') && base) {
+              try {
+                href = new URL(href, base).href;
+              } catch (e) {
+                continue;
+              }
+            }
+            
+            if (href.startsWith('http://') || href.startsWith('https://')) {
+              try {
+                const url = new URL(href);
+                const hostname = url.hostname.toLowerCase();
+                
+                // Skip MapYourShow internal links
+                if (hostname.includes('mapyourshow.com') || hostname.includes('eventmap')) {
+                  continue;
+                }
+                
+                // Skip social media
+                const socialDomains = ['facebook.com', 'twitter.com', 'linkedin.com', 'instagram.com', 'youtube.com'];
+                if (socialDomains.some(domain => hostname.includes(domain))) {
+                  continue;
+                }
+                
+                // Check if link text suggests it's a website link
+                const linkText = (link.textContent || '').toLowerCase();
+                const isWebsiteLink = linkText.includes('website') ||
+                                     linkText.includes('site') ||
+                                     linkText.includes('visit') ||
+                                     linkText.includes('www.') ||
+                                     hostname.includes('.com') ||
+                                     hostname.includes('.net') ||
+                                     hostname.includes('.org');
+                
+                if (isWebsiteLink) {
+                  website = href;
+                  break;
+                }
+              } catch (e) {
+                continue;
+              }
+            }
+          } catch (e) {
+            continue;
+          }
+        }
+        
+        // Link to the exhibitor's MapYourShow profile page
+        const profileLink = el.matches('a[href*="exhibitor"]') ? el : el.querySelector('a[href*="exhibitor"]');
+        const detailUrl = profileLink ? profileLink.href || '' : '';
+        
+        return { companyName, website, detailUrl };
+      }, baseUrl);
+
+      if (data.companyName && data.companyName.length > 1) {
+        exhibitors.push({
+          companyName: data.companyName,
+          website: data.website || '',
+          detailUrl: data.detailUrl || '',
+          source: 'mapyourshow'
+        });
+      }
+    } catch (err) {
+      console.error('Error extracting exhibitor:', err);
+    }
+  }
+
+  return exhibitors;
+}
+
+/**
+ * MapYourShow exhibitor gallery
+ */
+export default {
+  name: 'mapyourshow',
+  match: (url) => url.includes('mapyourshow.com'),
+  fingerprints: ['script[src*="mapyourshow.com"]', 'link[href*="mapyourshow.com"]'],
+  scrape: scrapeMapYourShow,
+  pagination: { strategy: 'next-button', maxPages: 5 },
+  listSelector: '[class*="exhibitor"]',
+  defaultOptions: {}
+};
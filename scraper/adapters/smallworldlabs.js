@@ -0,0 +1,128 @@
+import { waitForStableContent } from '../helpers.js';
+
+// Rows of the exhibitor table
+const LIST_SELECTOR = 'table.table tbody tr, .generic-table-wrapper tbody tr';
+
+export async function scrapeSmallWorldLabs(page) {
+  const exhibitors = [];
+  
+  console.log('Scraping SmallWorldLabs page...');
+  
+  // Wait for table to load - use shorter timeout and multiple strategies
+  try {
+    await page.waitForSelector('table.table tbody tr, .generic-table-wrapper tbody tr', { 
+      timeout: 20000,
+      visible: true 
+    });
+  } catch (err) {
+    console.log('Table not found with standard selector, trying alternative...');
+    await page.waitForSelector('tbody tr', { timeout: 10000 }).catch(() => {});
+  }
+  
+  await waitForStableContent(page, { selector: LIST_SELECTOR, quietPeriod: 500 });
+  
+  // SmallWorldLabs uses a table structure with generic-option-link class
+  const exhibitorsData = await page.evaluate(() => {
+    const results = [];
+    const seen = new Set();
+    
+    // Find all table rows - try multiple selectors
+    let rows = document.querySelectorAll('table.table tbody tr');
+    if (rows.length === 0) {
+      rows = document.querySelectorAll('.generic-table-wrapper tbody tr');
+    }
+    if (rows.length === 0) {
+      rows = document.querySelectorAll('tbody tr');
+    }
+    
+    rows.forEach(row => {
+      try {
+        // Get all cells in the row
+        const cells = row.querySelectorAll('td');
+        if (cells.length < 2) return; // Skip if not enough columns
+        
+        // Company name is in the second column (index 1)
+        const nameCell = cells[1];
+        const nameLink = nameCell ? nameCell.querySelector('a.generic-option-link') : null;
+        
+        if (nameLink) {
+          const name = nameLink.textContent?.trim() || '';
+          
+          // Get booth number from third column (index 2)
+          let booth = '';
+          if (cells.length >= 3) {
+            const boothCell = cells[2];
+            if (boothCell) {
+              const boothLink = boothCell.querySelector('a');
+              if (boothLink) {
+                booth = boothLink.textContent?.trim() || '';
+                // Clean up booth text - remove extra spaces
+                booth = booth.replace(/\s+/g, ' ').trim();
+              }
+            }
+          }
+          
+          // Skip if it's a booth number link or empty or invalid
+          if (name && 
+              name.length > 1 && 
+              name.length < 200 &&
+              !name.match(/^Booth\s*#?\d+$/i) &&
+              !name.match(/^\d+$/) &&
+              !name.match(/^Explore$/i) &&
+              !name.match(/^Name$/i) &&
+              !seen.has(name.toLowerCase())) {
+            seen.add(name.toLowerCase());
+            
+            // Try to find website link in the row (not a2z or smallworldlabs links)
+            let website = '';
+            const allLinks = row.querySelectorAll('a[href]');
+            for (const link of allLinks) {
+              const href = link.getAttribute('href') || '';
+              if (href.startsWith('http') && 
+                  !href.includes('a2zinc.net') && 
+                  !href.includes('smallworldlabs.com') &&
+                  !href.includes('EventMap')) {
+                website = href;
+                break;
+              }
+            }
+            
+            results.push({ name, booth, link: website, detailUrl: nameLink.href || '' });
+          }
+        }
+      } catch (err) {
+        // Skip this row if there's an error
+      }
+    });
+    
+    return results;
+  });
+
+  console.log(`Extracted ${exhibitorsData.length} companies from SmallWorldLabs`);
+
+  exhibitorsData.forEach(item => {
+    exhibitors.push({
+      companyName: item.name,
+      booth: item.booth || '',
+      website: item.link || '',
+      detailUrl: item.detailUrl || '',
+      source: 'smallworldlabs'
+    });
+  });
+
+  return exhibitors;
+}
+
+/**
+ * SmallWorldLabs paginated exhibitor table
+ */
+export default {
+  name: 'smallworldlabs',
+  match: (url) => url.includes('smallworldlabs.com'),
+  fingerprints: ['a.generic-option-link', '.pagination.paginator-pagination', 'script[src*="smallworldlabs"]'],
+  scrape: scrapeSmallWorldLabs,
+  pagination: { strategy: 'smallworldlabs', maxPages: 100 }, // Can have many pages (e.g., Surf Expo has 50+ pages)
+  listSelector: LIST_SELECTOR,
+  // Pagination is enabled by default (can be disabled by setting handlePagination: false)
+  defaultOptions: { handlePagination: true }
+};
@@ -0,0 +1,170 @@
+import { waitForStableContent } from '../helpers.js';
+
+// Exhibitor paragraphs under each category header
+const LIST_SELECTOR = '.et_pb_text_inner p';
+
+export async function scrapeSurfExpo(page) {
+  const exhibitors = [];
+  
+  console.log('Scraping Surf Expo exhibitor list page...');
+  
+  // Wait for content to load
+  try {
+    await page.waitForSelector('.et_pb_text_inner h4 strong, h4 strong', { 
+      timeout: 20000,
+      visible: true 
+    });
+  } catch (err) {
+    console.log('Category headers not found, trying alternative selector...');
+    await page.waitForSelector('h4, .et_pb_text', { timeout: 10000 }).catch(() => {});
+  }
+  
+  await waitForStableContent(page, { selector: LIST_SELECTOR }); // Wait for dynamic content to load
+  
+  // Extract exhibitor data from the page
+  const exhibitorsData = await page.evaluate(() => {
+    const results = [];
+    const seen = new Set();
+    
+    // Find all category sections - look for h4 with strong tags
+    const categoryHeaders = document.querySelectorAll('.et_pb_text_inner h4 strong, h4 strong');
+    
+    categoryHeaders.forEach(header => {
+      try {
+        const categoryName = header.textContent?.trim() || '';
+        if (!categoryName) return;
+        
+        // Find the parent h4 element
+        const h4Element = header.closest('h4') || header.parentElement;
+        if (!h4Element) return;
+        
+        // Find the next sibling paragraph that contains company names
+        let currentElement = h4Element.nextElementSibling;
+        while (currentElement) {
+          // Look for paragraph tags
+          if (currentElement.tagName === 'P') {
+            const paragraph = currentElement;
+            const htmlContent = paragraph.innerHTML || '';
+            
+            // Split by <br> or <br/> tags to get individual company names
+            const companyNames = htmlContent
+              .split(/<br\s*\/?>/i)
+              .map(name => {
+                // Create a temporary div to decode HTML entities
+                const tempDiv = document.createElement('div');
+                tempDiv.innerHTML = name.trim();
+                return tempDiv.textContent || tempDiv.innerText || '';
+              })
+              .map(name => name.trim())
+              .filter(name => {
+                // Filter out empty strings, non-breaking spaces, and invalid entries
+                return name && 
+                       name.length > 1 && 
+                       name.length < 200 &&
+                       name !== '&nbsp;' &&
+                       !name.match(/^\s*$/) &&
+                       !seen.has(`${categoryName}-${name.toLowerCase()}`);
+              });
+            
+            // Add each company name to results
+            companyNames.forEach(companyName => {
+              const uniqueKey = `${categoryName}-${companyName.toLowerCase()}`;
+              seen.add(uniqueKey);
+              results.push({
+                companyName,
+                category: categoryName
+              });
+            });
+            
+            // Break after finding the first paragraph (company list)
+            break;
+          }
+          
+          // If we hit another h4, we've moved to the next category
+          if (currentElement.tagName === 'H4') {
+            break;
+          }
+          
+          currentElement = currentElement.nextElementSibling;
+        }
+      } catch (err) {
+        console.error('Error extracting category data:', err);
+      }
+    });
+    
+    // Alternative method: if no results, try finding all paragraphs with company lists
+    if (results.length === 0) {
+      const allParagraphs = document.querySelectorAll('.et_pb_text_inner p, .et_pb_text p');
+      let currentCategory = '';
+      
+      allParagraphs.forEach(paragraph => {
+        // Check if there's a category header before this paragraph
+        let prevElement = paragraph.previousElementSibling;
+        while (prevElement) {
+          if (prevElement.tagName === 'H4') {
+            const strongTag = prevElement.querySelector('strong');
+            if (strongTag) {
+              currentCategory = strongTag.textContent?.trim() || '';
+            }
+            break;
+          }
+          prevElement = prevElement.previousElementSibling;
+        }
+        
+        const htmlContent = paragraph.innerHTML || '';
+        const companyNames = htmlContent
+          .split(/<br\s*\/?>/i)
+          .map(name => {
+            const tempDiv = document.createElement('div');
+            tempDiv.innerHTML = name.trim();
+            return tempDiv.textContent || tempDiv.innerText || '';
+          })
+          .map(name => name.trim())
+          .filter(name => {
+            return name && 
+                   name.length > 1 && 
+                   name.length < 200 &&
+                   name !== '&nbsp;' &&
+                   !name.match(/^\s*$/) &&
+                   !seen.has(`${currentCategory}-${name.toLowerCase()}`);
+          });
+        
+        companyNames.forEach(companyName => {
+          const uniqueKey = `${currentCategory}-${companyName.toLowerCase()}`;
+          seen.add(uniqueKey);
+          results.push({
+            companyName,
+            category: currentCategory || 'Unknown'
+          });
+        });
+      });
+    }
+    
+    return results;
+  });
+
+  console.log(`Extracted ${exhibitorsData.length} exhibitors from Surf Expo`);
+
+  exhibitorsData.forEach(item => {
+    exhibitors.push({
+      companyName: item.companyName,
+      category: item.category || '',
+      website: '', // Surf Expo doesn't provide websites in the list
+      source: 'surfexpo'
+    });
+  });
+
+  return exhibitors;
+}
+
+/**
+ * Surf Expo exhibitor list (grouped by category)
+ */
+export default {
+  name: 'surfexpo',
+  match: (url) => url.includes('surfexpo.com'),
+  scrape: scrapeSurfExpo,
+  pagination: { strategy: 'next-button', maxPages: 5 },
+  listSelector: LIST_SELECTOR,
+  defaultOptions: {}
+};
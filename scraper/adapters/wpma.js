@@ -0,0 +1,169 @@
+import { waitForStableContent } from '../helpers.js';
+
+// Booth elements on the floor plan
+const LIST_SELECTOR = '#graphic-container div[id^="booth"]';
+
+export async function scrapeWPMA(page) {
+  const exhibitors = [];
+  
+  console.log('Scraping WPMA booth map page...');
+  
+  // Wait for booth elements to load
+  try {
+    await page.waitForSelector('#graphic-container div[id^="booth"]', { 
+      timeout: 20000,
+      visible: true 
+    });
+  } catch (err) {
+    console.log('Booth elements not found with standard selector, trying alternative...');
+    await page.waitForSelector('div[id^="booth"]', { timeout: 10000 }).catch(() => {});
+  }
+  
+  await waitForStableContent(page, { selector: LIST_SELECTOR }); // Wait for dynamic content to load
+  
+  // Extract exhibitor data from booth elements
+  const exhibitorsData = await page.evaluate(() => {
+    const results = [];
+    const seen = new Set();
+    
+    // Find all booth divs
+    const boothElements = document.querySelectorAll('#graphic-container div[id^="booth"], div[id^="booth"]');
+    
+    boothElements.forEach(booth => {
+      try {
+        // Extract booth number from data-bs-title or data-val
+        const boothTitle = booth.getAttribute('data-bs-title') || '';
+        const boothVal = booth.getAttribute('data-val') || '';
+        let boothNumber = '';
+        
+        // Extract booth number from "Booth #M779" format
+        if (boothTitle) {
+          const match = boothTitle.match(/Booth\s*#?M?(\d+)/i);
+          if (match) {
+            boothNumber = match[1];
+          }
+        }
+        
+        // Fallback to data-val if no match
+        if (!boothNumber && boothVal) {
+          boothNumber = boothVal;
+        }
+        
+        // Extract HTML content from data-bs-content
+        const contentHtml = booth.getAttribute('data-bs-content') || '';
+        if (!contentHtml) return;
+        
+        // Decode HTML entities and parse content
+        const tempDiv = document.createElement('div');
+        tempDiv.innerHTML = contentHtml;
+        
+        // Extract company name and location from <strong> tags
+        const allStrongTags = tempDiv.querySelectorAll('strong');
+        let companyName = '';
+        let location = '';
+        
+        // Company name is usually the first strong tag (skip if it's "Company Description:")
+        for (const strongTag of allStrongTags) {
+          const text = strongTag.textContent?.trim() || '';
+          if (text && !text.toLowerCase().includes('company description')) {
+            companyName = text;
+            break;
+          }
+        }
+        
+        // Location is usually the second strong tag
+        if (allStrongTags.length > 1) {
+          location = allStrongTags[1].textContent?.trim() || '';
+        }
+        
+        // Fallback: if no strong tags, try parsing from text lines
+        if (!companyName || !location) {
+          const textContent = tempDiv.textContent || '';
+          const cleanText = textContent.replace(/^This booth is registered to\s*/i, '').trim();
+          const textLines = cleanText.split(/\n|<br\s*\/?>/i).map(line => line.trim()).filter(line => line);
+          
+          if (!companyName && textLines.length > 0) {
+            companyName = textLines[0];
+          }
+          if (!location && textLines.length > 1) {
+            location = textLines[1];
+          }
+        }
+        
+        // Extract company description (text after "Company Description:")
+        let description = '';
+        const fullText = tempDiv.textContent || '';
+        const descriptionMatch = fullText.match(/Company Description:\s*(.+?)(?:\n|$)/is);
+        if (descriptionMatch) {
+          description = descriptionMatch[1].trim();
+          // Clean up description - remove extra whitespace
+          description = description.replace(/\s+/g, ' ').trim();
+        }
+        
+        // Extract business types from class names (bus-type-XX)
+        const businessTypes = [];
+        const classList = booth.classList;
+        classList.forEach(className => {
+          if (className.startsWith('bus-type-')) {
+            const typeId = className.replace('bus-type-', '');
+            businessTypes.push(typeId);
+          }
+        });
+        
+        // Skip if no company name or already seen
+        if (!companyName || companyName.length < 2) return;
+        
+        const uniqueKey = `${boothNumber}-${companyName.toLowerCase()}`;
+        if (seen.has(uniqueKey)) return;
+        seen.add(uniqueKey);
+        
+        // Skip placeholder entries like "Hold", "Beer Garden", "EXHIBITOR SERVICES"
+        const skipNames = ['hold', 'beer garden', 'exhibitor services', 'in our backyard', 'leonard petroleum'];
+        if (skipNames.some(skip => companyName.toLowerCase().includes(skip))) {
+          return;
+        }
+        
+        results.push({
+          boothNumber,
+          companyName,
+          location,
+          description,
+          businessTypes: businessTypes.join(', ')
+        });
+      } catch (err) {
+        console.error('Error extracting booth data:', err);
+      }
+    });
+    
+    return results;
+  });
+
+  console.log(`Extracted ${exhibitorsData.length} exhibitors from WPMA booth map`);
+
+  exhibitorsData.forEach(item => {
+    exhibitors.push({
+      companyName: item.companyName,
+      booth: item.boothNumber ? `M${item.boothNumber}` : '',
+      location: item.location || '',
+      description: item.description || '',
+      businessTypes: item.businessTypes || '',
+      website: '', // WPMA doesn't provide websites in booth map
+      source: 'wpma'
+    });
+  });
+
+  return exhibitors;
+}
+
+/**
+ * WPMA booth map
+ */
+export default {
+  name: 'wpma',
+  match: (url) => url.includes('wpma.com'),
+  fingerprints: ['#graphic-container div[id^="booth"]'],
+  scrape: scrapeWPMA,
+  pagination: { strategy: 'next-button', maxPages: 5 },
+  listSelector: LIST_SELECTOR,
+  defaultOptions: {}
+};
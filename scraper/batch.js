@@ -0,0 +1,82 @@
+import { scrapeExhibitors } from './scraper.js';
+import { envNumber } from './helpers.js';
+
+// Shows scraped at the same time; they share the browser pool, which queues any excess
+const DEFAULT_BATCH_CONCURRENCY = envNumber('BATCH_CONCURRENCY', 2);
+
+/**
+ * Scrape several show URLs with bounded concurrency. One failing URL doesn't stop the others.
+ * @param {Array<{ url: string, options?: object }>} entries - Shows to scrape, each with optional per-URL options
+ * @param {object} [options] - Options shared by every URL (per-URL options win, except for `signal`,
+ *   `websiteLookupBudget` and `apiKeyId`, which always come from here), plus:
+ * @param {number} [options.concurrency] - How many URLs to scrape at once (default 2)
+ * @param {number} [options.maxConcurrency] - Upper bound for concurrency, e.g. the client's concurrency cap
+ * @param {() => Promise<() => void>} [options.acquireSlot] - Called before each URL; resolves to a release function
+ *   called once the URL is done, or rejects to fail the URL (e.g. rate limiter slots)
+ * @param {(event: object) => void} [options.onUrlEvent] - Per-URL start/progress/exhibitor/complete/failed events, tagged with url and index
+ * @returns {Promise<{ exhibitors: object[], summary: object[] }>} - Combined exhibitors (tagged with their show) and one summary row per URL
+ */
+export async function scrapeBatch(entries, options = {}) {
+  const { concurrency: requested = DEFAULT_BATCH_CONCURRENCY, maxConcurrency = Infinity, acquireSlot, onUrlEvent, ...sharedOptions } = options;
+  const concurrency = Math.min(requested, maxConcurrency);
+  const results = new Array(entries.length);
+  const emit = (event) => onUrlEvent?.(event);
+  let nextIndex = 0;
+
+  console.log(`Batch scrape of ${entries.length} URLs (${concurrency} at a time)`);
+
+  const scrapeEntry = async (index) => {
+    const { url, options: urlOptions = {} } = entries[index];
+    const started = Date.now();
+    let release = null;
+
+    try {
+      release = acquireSlot ? await acquireSlot() : null;
+      emit({ type: 'start', url, index });
+      const exhibitors = await scrapeExhibitors(url, {
+        ...sharedOptions,
+        ...urlOptions,
+        signal: sharedOptions.signal,
+        websiteLookupBudget: sharedOptions.websiteLookupBudget,
+        apiKeyId: sharedOptions.apiKeyId,
+        onProgress: (data) => emit({ type: 'progress', url, index, ...data }),
+        onExhibitorFound: (exhibitor) => emit({ type: 'exhibitor', url, index, exhibitor: { ...exhibitor, show: url } })
+      });
+      exhibitors.forEach(e => { e.show = url; });
+
+      results[index] = {
+        exhibitors,
+        summary: { url, status: 'completed', count: exhibitors.length, durationMs: Date.now() - started }
+      };
+      emit({ type: 'url-complete', url, index, count: exhibitors.length });
+    } catch (error) {
+      if (sharedOptions.signal?.aborted) throw error;
+      console.error(`Batch: ${url} failed:`, error.message);
+      results[index] = {
+        exhibitors: [],
+        summary: { url, status: 'failed', count: 0, error: error.message || 'Unknown error occurred', durationMs: Date.now() - started }
+      };
+      emit({ type: 'url-failed', url, index, error: error.message || 'Unknown error occurred' });
+    } finally {
+      release?.();
+    }
+  };
+
+  const worker = async () => {
+    while (nextIndex < entries.length) {
+      sharedOptions.signal?.throwIfAborted();
+      await scrapeEntry(nextIndex++);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, entries.length) }, worker));
+
+  const summary = results.map(r => r.summary);
+  const failed = summary.filter(s => s.status === 'failed').length;
+  console.log(`Batch complete - ${entries.length - failed}/${entries.length} URLs succeeded`);
+
+  return {
+    exhibitors: results.flatMap(r => r.exhibitors),
+    summary
+  };
+}
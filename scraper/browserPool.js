@@ -0,0 +1,334 @@
+import os from 'os';
+import puppeteer from 'puppeteer';
+import chromium from '@sparticuz/chromium';
+import { envNumber } from './helpers.js';
+
+export function isServerlessEnv() {
+  // Vercel / common serverless indicators
+  return (
+    process.env.VERCEL === '1' ||
+    !!process.env.AWS_LAMBDA_FUNCTION_NAME ||
+    process.env.SERVERLESS_ENV === '1'
+  );
+}
+
+// Pool limits - serverless functions only get one browser
+const config = {
+  maxBrowsers: envNumber('BROWSER_POOL_MAX_BROWSERS', isServerlessEnv() ? 1 : 2),
+  maxPagesPerBrowser: envNumber('BROWSER_POOL_MAX_PAGES', 5),
+  recycleAfterPages: envNumber('BROWSER_POOL_RECYCLE_AFTER_PAGES', 200),
+  minFreeMemoryRatio: envNumber('BROWSER_POOL_MIN_FREE_MEMORY_RATIO', 0.1),
+  idleTimeout: envNumber('BROWSER_POOL_IDLE_TIMEOUT', 60000),
+  queueTimeout: envNumber('BROWSER_POOL_QUEUE_TIMEOUT', 300000)
+};
+
+// Pooled browsers: { browser, ready, activePages, totalPages, retiring, idleTimer }
+const entries = [];
+// Requests waiting for a free page slot: { resolve, reject, timer }
+const waiters = [];
+// Page -> pool entry it was opened on
+const pageEntries = new WeakMap();
+
+async function launchBrowser() {
+  try {
+    let browser;
+    if (isServerlessEnv()) {
+      // Vercel / serverless: use Sparticuz Chromium
+      const executablePath = await chromium.executablePath();
+
+      browser = await puppeteer.launch({
+        args: [
+          ...chromium.args,
+          '--no-sandbox',
+          '--disable-setuid-sandbox',
+          '--disable-dev-shm-usage',
+          '--disable-accelerated-2d-canvas',
+          '--disable-gpu'
+        ],
+        defaultViewport: chromium.defaultViewport,
+        executablePath: executablePath || undefined,
+        headless: chromium.headless
+      });
+    } else {
+      // Local/dev: use Puppeteer's bundled Chromium
+      browser = await puppeteer.launch({
+        headless: 'new',
+        args: [
+          '--no-sandbox',
+          '--disable-setuid-sandbox',
+          '--disable-dev-shm-usage',
+          '--disable-accelerated-2d-canvas',
+          '--disable-gpu'
+        ]
+      });
+    }
+    console.log(`Browser instance created (${entries.length}/${config.maxBrowsers} in pool)`);
+    return browser;
+  } catch (error) {
+    console.error('Error creating browser:', error);
+    throw new Error(`Failed to launch browser: ${error.message}`);
+  }
+}
+
+function removeEntry(entry) {
+  const index = entries.indexOf(entry);
+  if (index !== -1) {
+    entries.splice(index, 1);
+  }
+  clearTimeout(entry.idleTimer);
+}
+
+async function closeEntry(entry, reason) {
+  removeEntry(entry);
+  console.log(`Closing browser (${reason})`);
+  try {
+    await entry.browser?.close();
+  } catch (e) {
+    // Ignore close errors
+  }
+  drainQueue();
+}
+
+function createEntry() {
+  const entry = {
+    browser: null,
+    ready: null,
+    activePages: 0,
+    totalPages: 0,
+    retiring: false,
+    idleTimer: null
+  };
+
+  entry.ready = launchBrowser().then((browser) => {
+    entry.browser = browser;
+    browser.on('disconnected', () => {
+      if (entries.includes(entry)) {
+        console.warn(`Browser disconnected with ${entry.activePages} page(s) in use`);
+        removeEntry(entry);
+        drainQueue();
+      }
+    });
+    return browser;
+  }).catch((error) => {
+    removeEntry(entry);
+    drainQueue();
+    throw error;
+  });
+
+  entries.push(entry);
+  return entry;
+}
+
+function isUsable(entry) {
+  return !entry.retiring && (!entry.browser || entry.browser.isConnected());
+}
+
+// Take a page slot if one is free right now; launches a new browser if the pool has room
+function reserveSlot() {
+  let entry = entries.find(e => isUsable(e) && e.activePages < config.maxPagesPerBrowser);
+  if (!entry && entries.length < config.maxBrowsers) {
+    entry = createEntry();
+  }
+  if (!entry) {
+    return null;
+  }
+
+  clearTimeout(entry.idleTimer);
+  entry.activePages++;
+  entry.totalPages++;
+  return entry;
+}
+
+function drainQueue() {
+  while (waiters.length > 0) {
+    const entry = reserveSlot();
+    if (!entry) break;
+    const waiter = waiters.shift();
+    clearTimeout(waiter.timer);
+    waiter.resolve(entry);
+  }
+}
+
+function isLowOnMemory() {
+  return os.freemem() / os.totalmem() < config.minFreeMemoryRatio;
+}
+
+async function openPage(entry) {
+  try {
+    const browser = await entry.ready;
+    const page = await browser.newPage();
+    pageEntries.set(page, entry);
+    return page;
+  } catch (error) {
+    entry.activePages--;
+    drainQueue();
+    throw error;
+  }
+}
+
+/**
+ * Get a new page from the pool, waiting in the queue if every slot is taken.
+ * Always hand the page back with releasePage.
+ * @param {{ signal?: AbortSignal }} [options] - Aborting leaves the queue and rejects with `signal.reason`
+ * @returns {Promise<import('puppeteer').Page>}
+ */
+export async function acquirePage({ signal } = {}) {
+  signal?.throwIfAborted();
+  let entry = waiters.length === 0 ? reserveSlot() : null;
+
+  if (!entry) {
+    console.log(`Browser pool busy - request queued (${waiters.length + 1} waiting)`);
+    entry = await new Promise((resolve, reject) => {
+      const leave = (error) => {
+        const index = waiters.indexOf(waiter);
+        if (index !== -1) waiters.splice(index, 1);
+        clearTimeout(waiter.timer);
+        signal?.removeEventListener('abort', onAbort);
+        reject(error);
+      };
+      const onAbort = () => leave(signal.reason);
+      const waiter = {
+        resolve: (reserved) => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve(reserved);
+        },
+        reject,
+        timer: setTimeout(() => leave(new Error('Timed out waiting for a free browser page')), config.queueTimeout)
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      waiters.push(waiter);
+    });
+  }
+
+  return openPage(entry);
+}
+
+/**
+ * Open an extra page on the same browser as `page`, without waiting.
+ * Used for parallel tabs within one scrape; returns null when the pool is full
+ * so the caller can carry on with the pages it already has.
+ * @param {import('puppeteer').Page} page - A page previously obtained from the pool
+ * @returns {Promise<import('puppeteer').Page|null>}
+ */
+export async function tryAcquireExtraPage(page) {
+  const entry = pageEntries.get(page);
+  if (!entry || !entries.includes(entry) || !isUsable(entry) ||
+      entry.activePages >= config.maxPagesPerBrowser || waiters.length > 0) {
+    return null;
+  }
+
+  entry.activePages++;
+  entry.totalPages++;
+  try {
+    return await openPage(entry);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Close a pooled page and free its slot. Recycles the browser when it has served
+ * too many pages or the machine is low on memory, and closes it once idle.
+ * @param {import('puppeteer').Page} page - The page to release
+ */
+export async function releasePage(page) {
+  if (!page) return;
+
+  const entry = pageEntries.get(page);
+  pageEntries.delete(page);
+
+  try {
+    await page.close();
+  } catch (closeError) {
+    // Page is already gone if its browser crashed
+  }
+
+  if (!entry) return;
+  entry.activePages = Math.max(0, entry.activePages - 1);
+
+  if (!entries.includes(entry)) {
+    // Browser already disconnected and left the pool
+    drainQueue();
+    return;
+  }
+
+  if (!entry.retiring && (entry.totalPages >= config.recycleAfterPages || isLowOnMemory())) {
+    console.log(`Recycling browser after ${entry.totalPages} pages${isLowOnMemory() ? ' (low memory)' : ''}`);
+    entry.retiring = true;
+  }
+
+  if (entry.activePages === 0) {
+    if (entry.retiring) {
+      await closeEntry(entry, 'recycled');
+      return;
+    }
+    entry.idleTimer = setTimeout(() => {
+      if (entry.activePages === 0) {
+        closeEntry(entry, `idle for ${config.idleTimeout}ms`);
+      }
+    }, config.idleTimeout);
+    entry.idleTimer.unref?.();
+  }
+
+  drainQueue();
+}
+
+/**
+ * Errors that mean the browser (not the site) failed
+ * @param {Error} error - The error thrown while using the page
+ * @param {import('puppeteer').Page} page - The page that was in use
+ * @returns {boolean}
+ */
+function isBrowserFailure(error, page) {
+  if (page && !page.browser().isConnected()) return true;
+  return /Target closed|Session closed|Connection closed|browser has disconnected|Protocol error.*(closed|detached)/i.test(error?.message || '');
+}
+
+/**
+ * Run `task` with a pooled page. If the browser crashes or disconnects mid-task,
+ * the task is retried transparently on a fresh page.
+ * @param {(page: import('puppeteer').Page) => Promise<*>} task - Work to do with the page
+ * @param {{ retries?: number, signal?: AbortSignal }} [options] - Number of retries after a browser failure (default 1);
+ *   once `signal` is aborted the page is closed and the task is not retried
+ * @returns {Promise<*>} - Whatever the task returns
+ */
+export async function withPage(task, { retries = 1, signal } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    signal?.throwIfAborted();
+    const page = await acquirePage({ signal });
+    // Closing the page makes whatever the task is waiting on fail right away
+    const onAbort = () => page.close().catch(() => {});
+    signal?.addEventListener('abort', onAbort, { once: true });
+    try {
+      // The signal may have fired while the page was being opened
+      signal?.throwIfAborted();
+      return await task(page);
+    } catch (error) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+      if (attempt < retries && isBrowserFailure(error, page)) {
+        console.warn(`Browser failure (${error.message}) - retrying on a fresh page (attempt ${attempt + 2})`);
+        continue;
+      }
+      throw error;
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+      await releasePage(page);
+    }
+  }
+}
+
+/**
+ * Current pool usage, for health checks
+ * @returns {object}
+ */
+export function getPoolStats() {
+  return {
+    browsers: entries.length,
+    maxBrowsers: config.maxBrowsers,
+    activePages: entries.reduce((sum, e) => sum + e.activePages, 0),
+    maxPages: config.maxBrowsers * config.maxPagesPerBrowser,
+    queued: waiters.length
+  };
+}
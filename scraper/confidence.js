@@ -0,0 +1,97 @@
+// Text that is page chrome rather than a company name
+const NAVIGATION_WORDS = ['view', 'more', 'details', 'click', 'read', 'learn', 'see', 'show',
+                          'all', 'next', 'previous', 'page', 'home', 'about', 'contact',
+                          'login', 'register', 'search', 'filter', 'sort', 'view details', 'read more', 'learn more'];
+
+const COMPANY_SUFFIX = /\b(inc|llc|ltd|limited|corp|corporation|co|company|gmbh|ag|sa|srl|bv|plc|pty|group|holdings|technologies|solutions|labs)\.?$/i;
+
+function detectCasing(text) {
+  const letters = text.replace(/[^A-Za-z]/g, '');
+  if (!letters) return 'none';
+  if (letters === letters.toUpperCase()) return 'upper';
+  if (letters === letters.toLowerCase()) return 'lower';
+  const words = text.split(/\s+/).filter(w => /^[A-Za-z]/.test(w));
+  return words.every(w => w[0] === w[0].toUpperCase()) ? 'title' : 'mixed';
+}
+
+/**
+ * Score how likely a piece of text is a company name, from the signals around it.
+ * 0 is certainly not a company, 1 is as sure as extraction gets.
+ * @param {object} signals - Signals gathered for the candidate (see createCandidateCollector)
+ * @returns {number} - Confidence between 0 and 1
+ */
+function scoreSignals(signals) {
+  const casingScore = { title: 1, upper: 0.8, mixed: 0.7, lower: 0.3, none: 0 }[signals.casing];
+  const lengthScore = signals.textLength >= 3 && signals.textLength <= 60 ? 1 : 0.4;
+  const wordScore = signals.wordCount <= 8 ? 1 : 0.3;
+
+  const score =
+    0.35 * signals.selectorWeight +
+    0.15 * casingScore +
+    0.15 * lengthScore +
+    0.1 * wordScore +
+    0.1 * (signals.hasLink ? 1 : 0) +
+    0.1 * (signals.hasBooth ? 1 : 0) +
+    0.05 * (signals.companySuffix ? 1 : 0);
+
+  return Math.round(Math.min(1, score) * 100) / 100;
+}
+
+/**
+ * Collect company-name candidates from a page, keeping the rejected ones and the reason.
+ * Accepted candidates get a confidence score and the signals behind it so borderline rows
+ * can be reviewed rather than silently dropped.
+ * @param {object} [options]
+ * @param {number} [options.minLength] - Shortest accepted name (default 3)
+ * @param {number} [options.maxLength] - Longest accepted name (default 100)
+ * @param {Array<{ pattern: RegExp, reason: string }>} [options.excludePatterns] - Extra site-specific rules
+ * @param {(candidate: object) => void} [options.onRejected] - Called with every rejected candidate
+ * @returns {object} - Collector with add(text, context)
+ */
+export function createCandidateCollector({ minLength = 3, maxLength = 100, excludePatterns = [], onRejected } = {}) {
+  const seen = new Set();
+
+  const reject = (name, context, reason) => {
+    if (onRejected) {
+      onRejected({ name, reason, selector: context.selector || null, ...(context.element !== undefined && { element: context.element }) });
+    }
+    return null;
+  };
+
+  return {
+    /**
+     * Check one candidate
+     * @param {string} text - Raw candidate text
+     * @param {object} context - Where it came from: { selector, selectorWeight (0-1), hasLink, hasBooth,
+     *   element (an ID of the source element, passed on to onRejected) }
+     * @returns {{ name: string, confidence: number, signals: object }|null} - null if rejected
+     */
+    add(text, context = {}) {
+      const name = (text || '').replace(/\s+/g, ' ').trim();
+
+      if (!name) return null;
+      if (name.length < minLength) return reject(name, context, 'too short');
+      if (name.length > maxLength) return reject(name, context, 'too long');
+      if (NAVIGATION_WORDS.includes(name.toLowerCase())) return reject(name, context, 'navigation word');
+      if (/^[#\d\s\-()]+$/.test(name)) return reject(name, context, 'numbers only');
+      const excluded = excludePatterns.find(rule => rule.pattern.test(name));
+      if (excluded) return reject(name, context, excluded.reason);
+      // Duplicates are already in the list once, so they aren't reported
+      if (seen.has(name.toLowerCase())) return null;
+      seen.add(name.toLowerCase());
+
+      const signals = {
+        selector: context.selector || null,
+        selectorWeight: context.selectorWeight ?? 0.5,
+        textLength: name.length,
+        wordCount: name.split(/\s+/).length,
+        casing: detectCasing(name),
+        hasLink: !!context.hasLink,
+        hasBooth: !!context.hasBooth,
+        companySuffix: COMPANY_SUFFIX.test(name)
+      };
+
+      return { name, confidence: scoreSignals(signals), signals };
+    }
+  };
+}
@@ -0,0 +1,191 @@
+import { USER_AGENT, waitForStableContent } from './helpers.js';
+import { tryAcquireExtraPage, releasePage } from './browserPool.js';
+import { enableRequestBlocking } from './requestBlocking.js';
+
+// Fields the detail crawl can add to an exhibitor record
+const DETAIL_FIELDS = ['website', 'description', 'address', 'phone', 'email', 'socialLinks'];
+
+/**
+ * Extract contact details from an exhibitor profile page.
+ * Works on most platforms (A2Z, MapYourShow, SmallWorldLabs) because profile pages
+ * use predictable class names, itemprop attributes, tel:/mailto: links and "Website" links.
+ * @param {import('puppeteer').Page} page - The Puppeteer page, on the profile page
+ * @returns {Promise<object>} - { website, description, address, phone, email, socialLinks }
+ */
+async function extractDetailsGeneric(page) {
+  return page.evaluate(() => {
+    const clean = (text) => (text || '').replace(/\s+/g, ' ').trim();
+    const currentHost = window.location.hostname.toLowerCase().replace('www.', '');
+
+    // Skip exhibitor platforms and the page's own domain when looking for the company website
+    const skipDomains = ['mapyourshow.com', 'a2zinc.net', 'smallworldlabs.com', 'affiliatesummit.com',
+                         'goeshow.com', 'manife.st', 'eventmap', 'google.com', 'apple.com'];
+    const socialDomains = {
+      linkedin: 'linkedin.com',
+      twitter: 'twitter.com',
+      x: 'x.com',
+      facebook: 'facebook.com',
+      instagram: 'instagram.com',
+      youtube: 'youtube.com'
+    };
+
+    const socialLinks = {};
+    let website = '';
+    let fallbackWebsite = '';
+
+    document.querySelectorAll('a[href^="http"]').forEach(link => {
+      let hostname = '';
+      try {
+        hostname = new URL(link.href).hostname.toLowerCase().replace('www.', '');
+      } catch (e) {
+        return;
+      }
+
+      const social = Object.entries(socialDomains).find(([, domain]) => hostname === domain || hostname.endsWith(`.${domain}`));
+      if (social) {
+        if (!socialLinks[social[0]]) socialLinks[social[0]] = link.href;
+        return;
+      }
+
+      if (hostname === currentHost || skipDomains.some(d => hostname.includes(d))) return;
+
+      // Prefer links explicitly labelled as the website
+      const label = `${link.textContent || ''} ${link.getAttribute('title') || ''} ${link.className || ''} ${link.id || ''}`.toLowerCase();
+      if (!website && (label.includes('website') || label.includes('visit') || label.includes('www.') || link.getAttribute('itemprop') === 'url')) {
+        website = link.href;
+      } else if (!fallbackWebsite && !link.closest('header, footer, nav')) {
+        fallbackWebsite = link.href;
+      }
+    });
+
+    const firstText = (selectors) => {
+      for (const selector of selectors) {
+        const el = document.querySelector(selector);
+        const text = clean(el?.innerText || el?.textContent);
+        if (text) return text;
+      }
+      return '';
+    };
+
+    const description = firstText([
+      '[itemprop="description"]',
+      '[class*="description" i]',
+      '[id*="description" i]',
+      '[class*="about" i] p',
+      '[class*="profile" i] p'
+    ]) || clean(document.querySelector('meta[name="description"]')?.getAttribute('content'));
+
+    const address = firstText([
+      '[itemprop="address"]',
+      'address',
+      '[class*="address" i]',
+      '[id*="address" i]'
+    ]);
+
+    const telLink = document.querySelector('a[href^="tel:"]');
+    const phone = telLink
+      ? clean(telLink.getAttribute('href').replace(/^tel:/i, ''))
+      : firstText(['[itemprop="telephone"]', '[class*="phone" i]']);
+
+    const mailLink = document.querySelector('a[href^="mailto:"]');
+    const email = mailLink ? clean(mailLink.getAttribute('href').replace(/^mailto:/i, '').split('?')[0]) : '';
+
+    return {
+      website: website || fallbackWebsite,
+      description: description.slice(0, 2000),
+      address,
+      phone,
+      email,
+      socialLinks
+    };
+  });
+}
+
+/**
+ * Visit each exhibitor's profile page (detailUrl) and merge the extra fields into the record.
+ * Fields already present on the record are kept; only empty ones are filled in.
+ * @param {import('puppeteer').Page} page - The scrape's pooled page; extra tabs are opened next to it when the pool has room
+ * @param {object[]} exhibitors - Exhibitors to enrich (modified in place)
+ * @param {import('./adapters/index.js').Adapter} adapter - The platform adapter (may provide extractDetails)
+ * @param {object} options - Scrape options (detailConcurrency, maxDetailPages, onProgress, signal)
+ * @returns {Promise<object[]>} - The same exhibitors array
+ */
+export async function crawlExhibitorDetails(page, exhibitors, adapter, options = {}) {
+  const extractDetails = adapter.extractDetails || extractDetailsGeneric;
+  const concurrency = Math.max(1, options.detailConcurrency || 3);
+
+  const withDetailUrl = exhibitors.filter(e => e.detailUrl);
+  const maxDetailPages = options.maxDetailPages !== undefined ? options.maxDetailPages : withDetailUrl.length;
+  const queue = withDetailUrl.slice(0, maxDetailPages);
+
+  if (queue.length === 0) {
+    console.log('Detail crawl skipped - no exhibitor profile links found');
+    return exhibitors;
+  }
+
+  console.log(`Crawling ${queue.length} exhibitor detail pages (up to ${concurrency} tabs)...`);
+  if (options.onProgress) {
+    options.onProgress({
+      message: `Visiting ${queue.length} exhibitor profile pages...`,
+      crawlingDetails: true,
+      current: 0,
+      total: queue.length
+    });
+  }
+
+  let nextIndex = 0;
+  let completed = 0;
+
+  // The listing page is done with, so it becomes the first worker tab
+  const tabs = [page];
+  while (tabs.length < Math.min(concurrency, queue.length)) {
+    const tab = await tryAcquireExtraPage(page);
+    if (!tab) break;
+    await tab.setUserAgent(USER_AGENT);
+    await enableRequestBlocking(tab, adapter, options);
+    tabs.push(tab);
+  }
+
+  const worker = async (tab) => {
+    while (nextIndex < queue.length && !options.signal?.aborted) {
+      const exhibitor = queue[nextIndex++];
+      try {
+        await tab.goto(exhibitor.detailUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+        await waitForStableContent(tab, { quietPeriod: 500, timeout: 5000 }); // Let profile widgets render
+
+        const details = await extractDetails(tab);
+        for (const field of DETAIL_FIELDS) {
+          const value = details[field];
+          const isEmpty = !value || (typeof value === 'object' && Object.keys(value).length === 0);
+          if (!isEmpty && !exhibitor[field]) {
+            exhibitor[field] = value;
+          }
+        }
+      } catch (err) {
+        console.error(`Error crawling details for ${exhibitor.companyName}:`, err.message);
+      }
+
+      completed++;
+      if (options.onProgress) {
+        options.onProgress({
+          message: `Visited profile: ${exhibitor.companyName}`,
+          crawlingDetails: true,
+          current: completed,
+          total: queue.length
+        });
+      }
+    }
+  };
+
+  try {
+    await Promise.all(tabs.map(worker));
+  } finally {
+    await Promise.all(tabs.slice(1).map(tab => releasePage(tab)));
+  }
+  options.signal?.throwIfAborted();
+
+  const withWebsite = queue.filter(e => e.website).length;
+  console.log(`Detail crawl complete - ${withWebsite}/${queue.length} profiles had a website`);
+
+  return exhibitors;
+}
@@ -0,0 +1,159 @@
+import { getRun, getRunExhibitors, listRuns } from './store.js';
+
+// Fields compared between two runs
+const DIFF_FIELDS = ['website', 'booth', 'category'];
+
+const LEGAL_SUFFIXES = /\b(inc|incorporated|llc|ltd|limited|corp|corporation|co|company|gmbh|plc|sa|ag|bv|pty)\b\.?/g;
+
+/**
+ * Normalize a company name for matching ("Acme, Inc." and "ACME INC" are the same company)
+ * @param {string} name - Company name
+ * @returns {string}
+ */
+export function normalizeCompanyName(name) {
+  return (name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(LEGAL_SUFFIXES, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function normalizeBooth(booth) {
+  return String(booth || '').toUpperCase().replace(/^(BOOTH|STAND)\s*#?/, '').replace(/[\s#]/g, '');
+}
+
+function normalizeValue(field, value) {
+  if (field === 'booth') return normalizeBooth(value);
+  if (field === 'website') {
+    return String(value || '').toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/+$/, '');
+  }
+  return String(value || '').trim().toLowerCase();
+}
+
+/**
+ * Compare two exhibitor lists of the same show. Exhibitors are matched on normalized
+ * company name and booth first, then on name alone so a booth move shows up as a change.
+ * @param {object[]} before - Exhibitors of the older run
+ * @param {object[]} after - Exhibitors of the newer run
+ * @returns {{ added: object[], removed: object[], changed: object[], unchangedCount: number }}
+ *   changed items are { companyName, before, after, changes: [{ field, before, after }] }
+ */
+export function diffExhibitors(before, after) {
+  // Index the older list once: normalized name+booth and normalized name -> positions, in list order
+  const byNameAndBooth = new Map();
+  const byName = new Map();
+  const addTo = (map, key, index) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(index);
+  };
+  before.forEach((exhibitor, index) => {
+    const name = normalizeCompanyName(exhibitor.companyName);
+    addTo(byNameAndBooth, `${name}|${normalizeBooth(exhibitor.booth)}`, index);
+    addTo(byName, name, index);
+  });
+
+  // Each older exhibitor is matched at most once
+  const matched = new Set();
+  const take = (map, key) => {
+    const indexes = map.get(key) || [];
+    while (indexes.length > 0) {
+      const index = indexes.shift();
+      if (!matched.has(index)) {
+        matched.add(index);
+        return before[index];
+      }
+    }
+    return null;
+  };
+
+  const pairs = [];
+  const added = [];
+  const unmatched = [];
+  for (const exhibitor of after) {
+    const name = normalizeCompanyName(exhibitor.companyName);
+    const match = take(byNameAndBooth, `${name}|${normalizeBooth(exhibitor.booth)}`);
+    if (match) {
+      pairs.push([match, exhibitor]);
+    } else {
+      unmatched.push({ exhibitor, name });
+    }
+  }
+
+  // Same company, different booth
+  for (const { exhibitor, name } of unmatched) {
+    const match = name ? take(byName, name) : null;
+    if (match) {
+      pairs.push([match, exhibitor]);
+    } else {
+      added.push(exhibitor);
+    }
+  }
+
+  const changed = [];
+  for (const [old, current] of pairs) {
+    const changes = DIFF_FIELDS
+      .filter(field => normalizeValue(field, old[field]) !== normalizeValue(field, current[field]))
+      .map(field => ({ field, before: old[field] || '', after: current[field] || '' }));
+    if (changes.length > 0) {
+      changed.push({ companyName: current.companyName, before: old, after: current, changes });
+    }
+  }
+
+  return {
+    added,
+    removed: before.filter((exhibitor, index) => !matched.has(index)),
+    changed,
+    unchangedCount: pairs.length - changed.length
+  };
+}
+
+/**
+ * Diff two stored runs of the same show
+ * @param {string} fromRunId - The older run
+ * @param {string} toRunId - The newer run
+ * @param {string} apiKeyId - The API key asking; runs of other keys are not found
+ * @returns {Promise<object>} - { from, to, summary, added, removed, changed }
+ */
+export async function diffRuns(fromRunId, toRunId, apiKeyId) {
+  const [from, to] = await Promise.all([getRun(fromRunId, apiKeyId), getRun(toRunId, apiKeyId)]);
+  if (!from || !to) {
+    throw new Error(`Run not found: ${!from ? fromRunId : toRunId}`);
+  }
+  if (from.showId !== to.showId) {
+    throw new Error('Runs belong to different shows');
+  }
+
+  const [before, after] = await Promise.all([getRunExhibitors(from.id, apiKeyId), getRunExhibitors(to.id, apiKeyId)]);
+  if (!before || !after) {
+    throw new Error(`Run ${!before ? from.id : to.id} has no saved exhibitors`);
+  }
+
+  const diff = diffExhibitors(before, after);
+  return {
+    from: { id: from.id, startedAt: from.startedAt, exhibitorCount: before.length },
+    to: { id: to.id, startedAt: to.startedAt, exhibitorCount: after.length },
+    summary: {
+      added: diff.added.length,
+      removed: diff.removed.length,
+      changed: diff.changed.length,
+      unchanged: diff.unchangedCount
+    },
+    added: diff.added,
+    removed: diff.removed,
+    changed: diff.changed
+  };
+}
+
+/**
+ * Diff a completed run against the previous completed run of the show by the same API key
+ * @param {object} run - The newer run record
+ * @returns {Promise<object|null>} - As diffRuns, or null if there is no earlier run to compare with
+ */
+export async function diffWithPreviousRun(run) {
+  const previous = (await listRuns(run.showId, run.apiKeyId))
+    .find(r => r.id !== run.id && r.status === 'completed' && r.startedAt < run.startedAt);
+  if (!previous) return null;
+  return diffRuns(previous.id, run.id, run.apiKeyId);
+}
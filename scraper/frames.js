@@ -0,0 +1,35 @@
+import { detectAdapterFromPage } from './adapters/index.js';
+
+/**
+ * Look for an exhibitor directory embedded in a child frame (e.g. an A2Z or MapYourShow
+ * directory in an <iframe> on the show's own site). Each frame is run through the same
+ * URL and fingerprint detection as the top-level page.
+ * @param {import('puppeteer').Page} page - The Puppeteer page, after navigation
+ * @returns {Promise<{ frame: import('puppeteer').Frame, adapter: object, signal: object, index: number }|null>} - The first frame with a known platform, or null
+ */
+export async function findDirectoryFrame(page) {
+  const frames = page.frames().filter(frame => frame !== page.mainFrame() && /^https?:/i.test(frame.url()));
+  if (frames.length === 0) {
+    return null;
+  }
+
+  console.log(`Checking ${frames.length} embedded frame(s) for an exhibitor directory...`);
+  for (const [index, frame] of frames.entries()) {
+    if (frame.detached) continue;
+    const { adapter, signal } = await detectAdapterFromPage(frame, frame.url());
+    if (signal.type !== 'fallback') {
+      return { frame, adapter, signal, index };
+    }
+  }
+  return null;
+}
+
+/**
+ * Describe a frame for exhibitor records and logs
+ * @param {import('puppeteer').Frame} frame - The frame the data came from
+ * @param {number} index - Position among the page's child frames
+ * @returns {{ url: string, name: string, index: number }}
+ */
+export function describeFrame(frame, index) {
+  return { url: frame.url(), name: frame.name() || '', index };
+}
@@ -0,0 +1,112 @@
+// Simple delay helper to replace deprecated page.waitForTimeout
+export const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Read a positive number from the environment
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Used when the variable is unset, not a number or not positive
+ * @returns {number}
+ */
+export function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// User agent for every page we open, to avoid detection
+export const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+/**
+ * Wait until the page content stops changing, instead of sleeping a fixed time.
+ * The content counts as stable once no DOM mutation happened and the number of
+ * elements matching `selector` stayed the same for `quietPeriod` ms. Gives up
+ * after `timeout` ms and carries on with whatever is on the page.
+ * @param {import('puppeteer').Page} page - The Puppeteer page
+ * @param {object} [options]
+ * @param {string|null} [options.selector] - Exhibitor list item selector to count (optional)
+ * @param {number} [options.quietPeriod] - How long nothing may change, in ms (default 750)
+ * @param {number} [options.timeout] - Ceiling for the whole wait, in ms (default 10000)
+ * @param {number} [options.minCount] - Don't call it stable before this many items are present (default 0)
+ * @returns {Promise<{ stable: boolean, count: number, elapsed: number }>}
+ */
+export async function waitForStableContent(page, { selector = null, quietPeriod = 750, timeout = 10000, minCount = 0 } = {}) {
+  // Pages with scripts disabled (snapshot replay) can't change
+  if (typeof page.isJavaScriptEnabled === 'function' && !page.isJavaScriptEnabled()) {
+    return { stable: true, count: 0, elapsed: 0 };
+  }
+
+  const started = Date.now();
+
+  // A navigation in the middle of the wait destroys the page context; start over on the new document
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const remaining = Math.max(0, timeout - (Date.now() - started));
+    try {
+      const result = await Promise.race([
+        page.evaluate((sel, quiet, ceiling, min) => new Promise((resolve) => {
+          const start = Date.now();
+          const countItems = () => {
+            try {
+              return sel ? document.querySelectorAll(sel).length : 0;
+            } catch (e) {
+              return 0;
+            }
+          };
+
+          let lastCount = countItems();
+          let lastChange = Date.now();
+          const observer = new MutationObserver(() => {
+            lastChange = Date.now();
+          });
+          observer.observe(document.documentElement || document, { childList: true, subtree: true, characterData: true });
+
+          const timer = setInterval(() => {
+            const count = countItems();
+            if (count !== lastCount) {
+              lastCount = count;
+              lastChange = Date.now();
+            }
+            const now = Date.now();
+            const stable = now - lastChange >= quiet && count >= min;
+            if (stable || now - start >= ceiling) {
+              clearInterval(timer);
+              observer.disconnect();
+              resolve({ stable, count });
+            }
+          }, 100);
+        }), selector, quietPeriod, remaining, minCount),
+        // Safety net in case the page never runs the timer
+        delay(remaining + 2000).then(() => ({ stable: false, count: 0 }))
+      ]);
+      return { ...result, elapsed: Date.now() - started };
+    } catch (error) {
+      if (!/context was destroyed|detached|navigat/i.test(error.message) || Date.now() - started >= timeout) {
+        return { stable: false, count: 0, elapsed: Date.now() - started };
+      }
+      await page.waitForSelector('body', { timeout: Math.max(1000, timeout - (Date.now() - started)) }).catch(() => {});
+    }
+  }
+
+  return { stable: false, count: 0, elapsed: Date.now() - started };
+}
+
+/**
+ * Click something that loads new results, then wait for them. Handles both full
+ * page navigations and in-page (AJAX) updates.
+ * @param {import('puppeteer').Page} page - The Puppeteer page
+ * @param {() => Promise<*>} click - Performs the click
+ * @param {object} [stableOptions] - Options for waitForStableContent
+ * @returns {Promise<{ stable: boolean, count: number, elapsed: number }>}
+ */
+export async function clickAndWaitForContent(page, click, stableOptions = {}) {
+  const navigation = page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 30000 }).then(() => true, () => false);
+  const navigationStarted = page.waitForRequest(
+    (request) => request.isNavigationRequest() && request.frame() === page.mainFrame(),
+    { timeout: 1000 }
+  ).then(() => true, () => false);
+
+  await click();
+
+  if (await navigationStarted) {
+    await navigation;
+  }
+  return waitForStableContent(page, stableOptions);
+}
@@ -0,0 +1,198 @@
+// Default JSON keys tried for each exhibitor field, in order. Dot paths (e.g. "company.name") are supported.
+const DEFAULT_FIELD_MAPPING = {
+  companyName: ['companyName', 'company_name', 'exhibitorName', 'exhibitor_name', 'organizationName', 'orgName', 'displayName', 'name', 'title'],
+  booth: ['booth', 'boothNumber', 'booth_number', 'boothNo', 'boothLabel', 'booths', 'stand', 'standNumber'],
+  website: ['website', 'websiteUrl', 'website_url', 'webSite', 'homepage', 'url', 'web'],
+  id: ['exhibitorId', 'exhibitor_id', 'exhId', 'exhid', 'id', 'uuid', '_id'],
+  description: ['description', 'shortDescription', 'desc', 'about'],
+  category: ['category', 'categories', 'productCategories']
+};
+
+// Arrays smaller than this are ignored (filters, menus, featured lists, single records)
+const MIN_ARRAY_LENGTH = 5;
+// Share of array items that must carry a company name for the array to count as an exhibitor list
+const MIN_NAME_RATIO = 0.6;
+// Share of array items that must also carry an exhibitor-specific field - a bare name/title is
+// just as likely to be a category, session or speaker list
+const MIN_EXHIBITOR_FIELD_RATIO = 0.5;
+const EXHIBITOR_KEY_PATTERN = /booth|stand|website|homepage|company|exhibitor/i;
+const MAX_SEARCH_DEPTH = 6;
+
+// URLs on these hosts are exhibitor profile pages, not company websites
+const PLATFORM_DOMAINS = ['mapyourshow.com', 'a2zinc.net', 'smallworldlabs.com', 'affiliatesummit.com',
+                          'goeshow.com', 'manife.st', 'eventmap'];
+
+function getPath(obj, keyPath) {
+  return keyPath.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), obj);
+}
+
+// Flatten a JSON value into a display string
+function toText(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'string') return value.replace(/\s+/g, ' ').trim();
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  if (Array.isArray(value)) return value.map(toText).filter(Boolean).join(', ');
+  if (typeof value === 'object') return toText(value.name ?? value.label ?? value.title ?? value.value ?? '');
+  return '';
+}
+
+function readField(item, keys) {
+  for (const key of keys) {
+    const text = toText(getPath(item, key));
+    if (text) return text;
+  }
+  return '';
+}
+
+// A booth, or a key naming a booth, stand, website or company
+function hasExhibitorField(item, mapping) {
+  return Boolean(readField(item, mapping.booth)) || Object.keys(item).some(key => EXHIBITOR_KEY_PATTERN.test(key));
+}
+
+/**
+ * Find arrays inside a JSON payload that look like exhibitor lists
+ * @param {*} json - Parsed JSON payload
+ * @param {object} mapping - Field mapping (field -> list of keys)
+ * @returns {object[][]} - Matching arrays
+ */
+function findExhibitorArrays(json, mapping) {
+  const found = [];
+
+  const visit = (value, depth) => {
+    if (!value || typeof value !== 'object' || depth > MAX_SEARCH_DEPTH) return;
+
+    if (Array.isArray(value)) {
+      const objects = value.filter(item => item && typeof item === 'object' && !Array.isArray(item));
+      if (objects.length >= MIN_ARRAY_LENGTH) {
+        const withName = objects.filter(item => readField(item, mapping.companyName)).length;
+        const withExhibitorField = objects.filter(item => hasExhibitorField(item, mapping)).length;
+        if (withName / objects.length >= MIN_NAME_RATIO && withExhibitorField / objects.length >= MIN_EXHIBITOR_FIELD_RATIO) {
+          found.push(objects);
+          return;
+        }
+      }
+      value.forEach(item => visit(item, depth + 1));
+      return;
+    }
+
+    Object.values(value).forEach(child => visit(child, depth + 1));
+  };
+
+  visit(json, 0);
+  return found;
+}
+
+/**
+ * Map a raw JSON record to our exhibitor schema
+ * @param {object} item - Raw JSON record
+ * @param {object} mapping - Field mapping (field -> list of keys)
+ * @param {string} source - Source name for the exhibitor
+ * @returns {object|null} - Exhibitor, or null if it has no usable name
+ */
+function mapExhibitor(item, mapping, source) {
+  const companyName = readField(item, mapping.companyName);
+  if (!companyName || companyName.length < 2 || companyName.length > 200) return null;
+
+  let website = readField(item, mapping.website);
+  if (website && !/^https?:\/\//i.test(website)) {
+    website = /^[\w-]+(\.[\w-]+)+/.test(website) ? `https://${website.replace(/^\/\//, '')}` : '';
+  }
+
+  let detailUrl = '';
+  if (website && PLATFORM_DOMAINS.some(domain => website.toLowerCase().includes(domain))) {
+    detailUrl = website;
+    website = '';
+  }
+
+  const exhibitor = {
+    companyName,
+    booth: readField(item, mapping.booth),
+    website,
+    source
+  };
+
+  if (detailUrl) exhibitor.detailUrl = detailUrl;
+
+  const id = readField(item, mapping.id);
+  if (id) exhibitor.exhibitorId = id;
+  const description = readField(item, mapping.description);
+  if (description) exhibitor.description = description;
+  const category = readField(item, mapping.category);
+  if (category) exhibitor.category = category;
+
+  return exhibitor;
+}
+
+/**
+ * Listen to the page's XHR/fetch JSON responses and collect exhibitor records from them.
+ * Must be started before navigation so the initial list request is seen.
+ * @param {import('puppeteer').Page} page - The Puppeteer page
+ * @param {object} options - Scrape options (networkFieldMapping overrides DEFAULT_FIELD_MAPPING per field)
+ * @param {string} source - Source name for captured exhibitors
+ * @returns {object} - Capture with getExhibitors() and stop()
+ */
+export function startNetworkCapture(page, options = {}, source = 'network') {
+  const mapping = { ...DEFAULT_FIELD_MAPPING };
+  for (const [field, keys] of Object.entries(options.networkFieldMapping || {})) {
+    mapping[field] = Array.isArray(keys) ? keys : [keys];
+  }
+
+  const exhibitors = [];
+  const seen = new Set();
+  const pending = new Set();
+  let captureSource = source;
+
+  const onResponse = (response) => {
+    const request = response.request();
+    const resourceType = request.resourceType();
+    const contentType = response.headers()['content-type'] || '';
+    if ((resourceType !== 'xhr' && resourceType !== 'fetch') || !contentType.includes('json') || !response.ok()) {
+      return;
+    }
+
+    const task = response.json()
+      .then((json) => {
+        const arrays = findExhibitorArrays(json, mapping);
+        let added = 0;
+        for (const array of arrays) {
+          for (const item of array) {
+            const exhibitor = mapExhibitor(item, mapping, captureSource);
+            if (!exhibitor) continue;
+            const key = exhibitor.exhibitorId || `${exhibitor.companyName.toLowerCase()}-${exhibitor.booth}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+            exhibitors.push(exhibitor);
+            added++;
+          }
+        }
+        if (added > 0) {
+          console.log(`Captured ${added} exhibitors from JSON response: ${response.url()}`);
+        }
+      })
+      .catch(() => {
+        // Body unavailable (redirect, aborted) or not valid JSON
+      })
+      .finally(() => pending.delete(task));
+    pending.add(task);
+  };
+
+  page.on('response', onResponse);
+
+  return {
+    // Source is usually only known after the adapter is detected
+    setSource(name) {
+      captureSource = name;
+      exhibitors.forEach(e => { e.source = name; });
+    },
+
+    // Wait for in-flight response bodies, then return everything captured so far
+    async getExhibitors() {
+      await Promise.all([...pending]);
+      return exhibitors;
+    },
+
+    stop() {
+      page.off('response', onResponse);
+    }
+  };
+}
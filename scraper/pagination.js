@@ -0,0 +1,664 @@
+import { USER_AGENT, waitForStableContent, clickAndWaitForContent } from './helpers.js';
+import { tryAcquireExtraPage, releasePage } from './browserPool.js';
+import { enableRequestBlocking } from './requestBlocking.js';
+
+/**
+ * Pagination strategies, keyed by the name adapters declare in `pagination.strategy`
+ * (or the request sets in `paginationStrategy`).
+ * Each strategy moves the page to the next page of results.
+ * @param {import('puppeteer').Page} page - The Puppeteer page
+ * @param {number} pageCount - Number of extra pages scraped so far
+ * @param {import('./adapters/index.js').Adapter} adapter - The platform adapter
+ * @param {object} options - Scrape options
+ * @returns {Promise<boolean>} - True if the next page was loaded, false if there are no more pages
+ */
+const paginationStrategies = {
+  // SmallWorldLabs pager - JavaScript navigation through .pagination.paginator-pagination
+  smallworldlabs: async (page, pageCount, adapter) => {
+    const paginationInfo = await page.evaluate(() => {
+      // Look for pagination controls - SmallWorldLabs uses .pagination.paginator-pagination
+      const pagination = document.querySelector('.pagination.paginator-pagination, .pagination, [class*="pagination"]');
+      if (!pagination) return { hasNext: false, currentPage: 1, totalPages: 0, nextPageNum: null };
+    
+      // Find current page - it's a span (not clickable), other pages are <a> tags
+      const currentPageSpan = pagination.querySelector('span.pager-num, span[class*="pager-num"], span.pager-item');
+      let currentPage = 1;
+      if (currentPageSpan) {
+        const pageText = currentPageSpan.textContent?.trim();
+        const pageMatch = pageText.match(/\d+/);
+        if (pageMatch) {
+          currentPage = parseInt(pageMatch[0]) || 1;
+        }
+      } else {
+        // Fallback: find active page by class
+        const activePage = pagination.querySelector('.active, [class*="active"], .current, [class*="current"]');
+        if (activePage) {
+          const pageText = activePage.textContent?.trim();
+          const pageMatch = pageText.match(/\d+/);
+          if (pageMatch) {
+            currentPage = parseInt(pageMatch[0]) || 1;
+          }
+        }
+      }
+    
+      // Find all page number links (exclude spans which are current page)
+      const pageLinks = Array.from(pagination.querySelectorAll('a.pager-num, a[class*="pager-num"], a.pager-item'));
+    
+      // Find next page button - look for .pager-right-next or next page number link
+      let nextButton = null;
+      let nextPageNum = currentPage + 1;
+    
+      // Strategy 1: Look for next page number link (currentPage + 1) - this is most reliable
+      for (const link of pageLinks) {
+        const pageText = link.textContent?.trim();
+        const pageMatch = pageText.match(/\d+/);
+        if (pageMatch) {
+          const pageNum = parseInt(pageMatch[0]);
+          if (pageNum === nextPageNum && link.offsetParent !== null && !link.disabled) {
+            nextButton = link;
+            break;
+          }
+        }
+      }
+    
+      // Strategy 2: Look for explicit "Next Page" button with aria-label containing "Next Page"
+      if (!nextButton) {
+        const nextPageBtn = pagination.querySelector('a[aria-label*="Next Page" i], a.pager-right-next, a[class*="pager-right-next"]');
+        if (nextPageBtn && nextPageBtn.offsetParent !== null && !nextPageBtn.disabled && 
+            !nextPageBtn.classList.contains('disabled')) {
+          nextButton = nextPageBtn;
+        }
+      }
+    
+      // Strategy 3: Look for ">" arrow button (pager-right-next)
+      if (!nextButton) {
+        const arrowBtn = pagination.querySelector('a.pager-right-next.pager-item');
+        if (arrowBtn && arrowBtn.offsetParent !== null && !arrowBtn.disabled &&
+            !arrowBtn.classList.contains('disabled')) {
+          nextButton = arrowBtn;
+        }
+      }
+    
+      // Calculate total pages from visible page numbers
+      const allPageNumbers = Array.from(pagination.querySelectorAll('.pager-num, [class*="pager-num"], .pager-item'))
+        .map(el => {
+          const text = el.textContent?.trim();
+          const match = text?.match(/\d+/);
+          return match ? parseInt(match[0]) : null;
+        })
+        .filter(num => num !== null && !isNaN(num));
+      const totalPages = allPageNumbers.length > 0 ? Math.max(...allPageNumbers) : 0;
+    
+      return { 
+        hasNext: !!nextButton, 
+        currentPage, 
+        totalPages,
+        nextPageNum,
+        nextButtonText: nextButton ? nextButton.textContent?.trim() : null 
+      };
+    });
+  
+    if (!paginationInfo.hasNext) {
+      console.log(`No more pages found. Scraped up to page ${paginationInfo.currentPage}${paginationInfo.totalPages > 0 ? ` of ${paginationInfo.totalPages}` : ''}`);
+      return false;
+    }
+  
+    console.log(`Found pagination, navigating to page ${paginationInfo.nextPageNum}${paginationInfo.totalPages > 0 ? ` of ${paginationInfo.totalPages}` : ''}...`);
+  
+    // Try to click next button - use multiple strategies
+    try {
+      const clicked = await page.evaluate((currentPage, nextPageNum) => {
+        const pagination = document.querySelector('.pagination.paginator-pagination, .pagination, [class*="pagination"]');
+        if (!pagination) return false;
+      
+        // Strategy 1: Click next page number link (most reliable)
+        const pageLinks = Array.from(pagination.querySelectorAll('a.pager-num, a[class*="pager-num"], a.pager-item'));
+        for (const link of pageLinks) {
+          const pageText = link.textContent?.trim();
+          const pageMatch = pageText.match(/\d+/);
+          if (pageMatch) {
+            const pageNum = parseInt(pageMatch[0]);
+            if (pageNum === nextPageNum && link.offsetParent !== null && !link.disabled &&
+                !link.classList.contains('disabled')) {
+              link.click();
+              return true;
+            }
+          }
+        }
+      
+        // Strategy 2: Click "Next Page" button with aria-label
+        const nextPageBtn = pagination.querySelector('a[aria-label*="Next Page" i], a.pager-right-next, a[class*="pager-right-next"]');
+        if (nextPageBtn && nextPageBtn.offsetParent !== null && !nextPageBtn.disabled &&
+            !nextPageBtn.classList.contains('disabled')) {
+          nextPageBtn.click();
+          return true;
+        }
+      
+        // Strategy 3: Click ">" arrow button
+        const arrowBtn = pagination.querySelector('a.pager-right-next.pager-item');
+        if (arrowBtn && arrowBtn.offsetParent !== null && !arrowBtn.disabled &&
+            !arrowBtn.classList.contains('disabled')) {
+          arrowBtn.click();
+          return true;
+        }
+      
+        return false;
+      }, paginationInfo.currentPage, paginationInfo.nextPageNum);
+    
+      if (clicked) {
+        // SmallWorldLabs uses JavaScript navigation - wait for the table to reload and content to change
+        try {
+          // Wait for pagination to update (current page should change)
+          await page.waitForFunction(
+            (expectedPage) => {
+              const pagination = document.querySelector('.pagination.paginator-pagination');
+              if (!pagination) return false;
+              const currentPageSpan = pagination.querySelector('span.pager-num, span[class*="pager-num"], span.pager-item');
+              if (currentPageSpan) {
+                const pageText = currentPageSpan.textContent?.trim();
+                const pageMatch = pageText.match(/\d+/);
+                return pageMatch && parseInt(pageMatch[0]) === expectedPage;
+              }
+              return false;
+            },
+            { timeout: 20000 },
+            paginationInfo.nextPageNum
+          );
+        } catch (e) {
+          console.log('Pagination update check timeout, waiting for table...');
+        }
+      
+        // Wait for table to reload
+        try {
+          await page.waitForSelector('table.table tbody tr, .generic-table-wrapper tbody tr', { 
+            timeout: 20000,
+            visible: true 
+          });
+        } catch (e) {
+          console.log('Table reload timeout, continuing anyway...');
+        }
+        await waitForStableContent(page, { selector: adapter.listSelector, minCount: 1 });
+      } else {
+        console.log('Could not find next page button');
+        return false;
+      }
+    } catch (err) {
+      console.log('Pagination click failed:', err.message);
+      return false;
+    }
+    return true;
+  },
+
+  // Generic pagination handling - click the first visible "next" control
+  'next-button': async (page, pageCount, adapter) => {
+    const hasNext = await page.evaluate(() => {
+      const nextButton = document.querySelector(
+        'a[aria-label*="next" i], ' +
+        'a[aria-label*="Next" i], ' +
+        '.next, ' +
+        '[class*="next"], ' +
+        'button[aria-label*="next" i], ' +
+        '[data-page-next]'
+      );
+      return nextButton && 
+             !nextButton.disabled && 
+             nextButton.offsetParent !== null &&
+             !nextButton.classList.contains('disabled');
+    });
+
+    if (!hasNext) {
+      return false;
+    }
+
+    console.log(`Found pagination, clicking next (page ${pageCount + 2})...`);
+  
+    // Click next button
+    await clickAndWaitForContent(
+      page,
+      () => page.click('a[aria-label*="next" i], a[aria-label*="Next" i], .next, [class*="next"], button[aria-label*="next" i]'),
+      { selector: adapter.listSelector }
+    );
+    return true;
+  },
+
+  // Click the adapter's own next-page selector (used by declarative site configs)
+  'next-selector': async (page, pageCount, adapter) => {
+    const nextSelector = adapter.pagination.nextSelector;
+    if (!nextSelector) {
+      return false;
+    }
+
+    const hasNext = await page.evaluate((selector) => {
+      const nextButton = document.querySelector(selector);
+      return !!nextButton &&
+             !nextButton.disabled &&
+             nextButton.offsetParent !== null &&
+             !nextButton.classList.contains('disabled') &&
+             nextButton.getAttribute('aria-disabled') !== 'true';
+    }, nextSelector);
+
+    if (!hasNext) {
+      return false;
+    }
+
+    console.log(`Clicking next page selector "${nextSelector}" (page ${pageCount + 2})...`);
+
+    await clickAndWaitForContent(page, () => page.click(nextSelector), { selector: adapter.listSelector });
+    return true;
+  },
+
+  // Infinite scroll - scroll to the bottom (of the window or a scroll container) and wait for it to grow
+  'infinite-scroll': async (page, pageCount, adapter, options) => {
+    const containerSelector = options.scrollContainerSelector || adapter.pagination.scrollContainerSelector || null;
+
+    const getHeight = (selector) => {
+      const container = selector ? document.querySelector(selector) : null;
+      return container ? container.scrollHeight : document.body.scrollHeight;
+    };
+
+    const previousHeight = await page.evaluate(getHeight, containerSelector);
+
+    await page.evaluate((selector) => {
+      const container = selector ? document.querySelector(selector) : null;
+      if (container) {
+        container.scrollTop = container.scrollHeight;
+      } else {
+        window.scrollTo(0, document.body.scrollHeight);
+      }
+    }, containerSelector);
+
+    try {
+      await page.waitForFunction(
+        (selector, height) => {
+          const container = selector ? document.querySelector(selector) : null;
+          return (container ? container.scrollHeight : document.body.scrollHeight) > height;
+        },
+        { timeout: 8000 },
+        containerSelector,
+        previousHeight
+      );
+    } catch (e) {
+      console.log(`Page stopped growing after ${pageCount + 1} scroll(s)`);
+      return false;
+    }
+
+    console.log(`Scrolled for more results (round ${pageCount + 2})...`);
+    await waitForStableContent(page, { selector: adapter.listSelector });
+    return true;
+  },
+
+  // "Load more" / "Show more" button - click it until it disappears
+  'load-more': async (page, pageCount, adapter, options) => {
+    const selector = options.loadMoreSelector || adapter.pagination.loadMoreSelector || null;
+
+    const button = await page.evaluateHandle((sel) => {
+      const isClickable = (el) => el &&
+        !el.disabled &&
+        el.offsetParent !== null &&
+        !el.classList.contains('disabled') &&
+        el.getAttribute('aria-disabled') !== 'true';
+
+      if (sel) {
+        const el = document.querySelector(sel);
+        return isClickable(el) ? el : null;
+      }
+
+      const candidates = document.querySelectorAll('button, a, [role="button"], input[type="button"]');
+      for (const el of candidates) {
+        const text = (el.textContent || el.value || '').replace(/\s+/g, ' ').trim();
+        if (/^(load|show|view|see) more\b|^more (results|exhibitors|companies)\b/i.test(text) && isClickable(el)) {
+          return el;
+        }
+      }
+      return null;
+    }, selector);
+
+    const element = button.asElement();
+    if (!element) {
+      await button.dispose();
+      return false;
+    }
+
+    console.log(`Clicking "Load more" (round ${pageCount + 2})...`);
+    await element.evaluate(el => el.scrollIntoView({ block: 'center' }));
+    await clickAndWaitForContent(page, () => element.click(), { selector: adapter.listSelector });
+    await element.dispose();
+    return true;
+  }
+};
+
+// Query parameters commonly used for the page number
+const PAGE_PARAM_CANDIDATES = ['page', 'p', 'pg', 'pageNumber', 'pagenum', 'currentPage', 'pageIndex', 'paged'];
+
+/**
+ * Work out how a directory puts the page number in its URL, from its pager links
+ * or, failing that, from a GET form with a page field.
+ * A guessed parameter only counts when at least two links use it with small, consecutive
+ * values (1, 2, 3...), so post IDs like WordPress's ?p=4821 aren't taken for page numbers.
+ * Links inside a pagination container are preferred over the rest of the page.
+ * @param {import('puppeteer').Page} page - The Puppeteer page, on the first page
+ * @param {string|null} pageParam - Known page parameter name, or null to detect it
+ * @returns {Promise<{ param: string, baseUrl: string, totalPages: number|null }|null>}
+ */
+async function detectUrlPagination(page, pageParam) {
+  return page.evaluate((candidates, explicitParam) => {
+    const params = explicitParam ? [explicitParam] : candidates;
+    const pagerSelector = '[class*="pagination"], [class*="pager"], nav[aria-label*="pag" i]';
+    const byParam = {};
+    const inPager = {};
+
+    // Pager links such as ?page=3
+    document.querySelectorAll('a[href]').forEach(link => {
+      let linkUrl;
+      try {
+        linkUrl = new URL(link.href, window.location.href);
+      } catch (e) {
+        return;
+      }
+      if (linkUrl.origin !== window.location.origin) return;
+
+      const target = link.closest(pagerSelector) ? inPager : byParam;
+      for (const param of params) {
+        const value = linkUrl.searchParams.get(param);
+        if (value && /^\d+$/.test(value)) {
+          const entry = target[param] || (target[param] = { count: 0, values: new Set(), href: linkUrl.href });
+          entry.count++;
+          entry.values.add(parseInt(value, 10));
+        }
+      }
+    });
+
+    // Page numbers start small and run in sequence; IDs and years don't
+    const looksLikePages = ({ values }) => {
+      const sorted = [...values].sort((a, b) => a - b);
+      return sorted.length >= 2 && sorted[0] <= 3 && sorted.some((value, i) => i > 0 && value === sorted[i - 1] + 1);
+    };
+    const pick = (entries) => Object.entries(entries)
+      .filter(([, entry]) => explicitParam || looksLikePages(entry))
+      .sort((a, b) => b[1].count - a[1].count)[0];
+
+    // Highest page number shown in the pager, which may be beyond the visible links
+    const pagerNumbers = Array.from(document.querySelectorAll(
+      '[class*="pagination"] a, [class*="pagination"] span, [class*="pager"] a, [class*="pager"] span'
+    ))
+      .map(el => (el.textContent || '').trim())
+      .filter(text => /^\d+$/.test(text))
+      .map(text => parseInt(text, 10));
+    const pagerMax = pagerNumbers.length > 0 ? Math.max(...pagerNumbers) : 0;
+
+    const best = pick(inPager) || pick(byParam);
+    if (best) {
+      const totalPages = Math.max(...best[1].values, pagerMax);
+      return { param: best[0], baseUrl: best[1].href, totalPages: totalPages > 1 ? totalPages : null };
+    }
+
+    // Form parameter: a GET form carrying the page number in a field
+    for (const form of document.forms) {
+      if ((form.getAttribute('method') || 'get').toLowerCase() !== 'get') continue;
+      const param = params.find(p => form.querySelector(`[name="${p}"]`));
+      if (!param) continue;
+
+      const actionUrl = new URL(form.getAttribute('action') || window.location.href, window.location.href);
+      new FormData(form).forEach((value, key) => {
+        if (typeof value === 'string') actionUrl.searchParams.set(key, value);
+      });
+      return { param, baseUrl: actionUrl.href, totalPages: pagerMax > 1 ? pagerMax : null };
+    }
+
+    // The current URL itself may already carry the page number (e.g. ?page=1)
+    const currentUrl = new URL(window.location.href);
+    const currentParam = params.find(p => /^\d+$/.test(currentUrl.searchParams.get(p) || ''));
+    if (currentParam) {
+      return { param: currentParam, baseUrl: currentUrl.href, totalPages: pagerMax > 1 ? pagerMax : null };
+    }
+
+    return null;
+  }, PAGE_PARAM_CANDIDATES, pageParam);
+}
+
+function buildPageUrl(pagination, pageNumber, template) {
+  if (template) {
+    return template.replace(/\{page\}/g, String(pageNumber));
+  }
+  const pageUrl = new URL(pagination.baseUrl);
+  pageUrl.searchParams.set(pagination.param, String(pageNumber));
+  return pageUrl.href;
+}
+
+/**
+ * URL-parameter pagination: compute the page URLs up front and scrape them in
+ * parallel tabs of the shared browser (as many as the browser pool allows). Results are merged in page order.
+ * When the page count is unknown, pages are fetched in batches until one comes back empty or adds no
+ * new exhibitors (many sites serve the last page again for out-of-range page numbers).
+ * @param {import('puppeteer').Page} page - The Puppeteer page (already on the first page)
+ * @param {object[]} currentExhibitors - Exhibitors scraped from the first page
+ * @param {import('./adapters/index.js').Adapter} adapter - The platform adapter
+ * @param {string} originalUrl - The URL that was scraped
+ * @param {object} options - Scrape options (pageParam, pageUrlTemplate, parallelPages, maxPages)
+ * @param {number} maxPages - Max extra pages to fetch
+ * @param {number} deadline - Timestamp after which no further batch is started (maxPaginationDuration)
+ * @param {object|null} snapshot - Snapshot recorder, if any
+ * @param {object|null} detected - Result of detectUrlPagination, if already known
+ * @returns {Promise<object[]>} - All exhibitors across pages
+ */
+async function paginateByUrl(page, currentExhibitors, adapter, originalUrl, options, maxPages, deadline, snapshot, detected = null) {
+  const template = options.pageUrlTemplate || adapter.pagination.pageUrlTemplate || null;
+  const pageParam = options.pageParam || adapter.pagination.pageParam || null;
+
+  let pagination = detected;
+  if (!template && !pagination) {
+    pagination = await detectUrlPagination(page, pageParam);
+    if (!pagination) {
+      console.log('No page number found in pager links, forms or URL - skipping URL pagination');
+      return currentExhibitors;
+    }
+  }
+
+  const totalPages = pagination?.totalPages ?? null;
+  const lastPage = totalPages ? Math.min(totalPages, maxPages + 1) : maxPages + 1;
+  const concurrency = Math.max(1, options.parallelPages || 4);
+
+  // The first page is already scraped, so its tab joins the extra tabs from the pool
+  const tabs = [page];
+  while (tabs.length < concurrency) {
+    const tab = await tryAcquireExtraPage(page);
+    if (!tab) break;
+    await tab.setUserAgent(USER_AGENT);
+    await enableRequestBlocking(tab, adapter, options);
+    tabs.push(tab);
+  }
+
+  console.log(`URL pagination via ${template ? `template ${template}` : `"${pagination.param}" parameter`} - ` +
+              `${totalPages ? `${totalPages} pages` : 'page count unknown'}, ${tabs.length} tabs in parallel`);
+
+  const scrapePageNumber = async (pageNumber, tab) => {
+    const pageUrl = buildPageUrl(pagination, pageNumber, template);
+    try {
+      try {
+        await tab.goto(pageUrl, { waitUntil: 'networkidle2', timeout: 60000 });
+      } catch (navError) {
+        await tab.goto(pageUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
+      }
+      await waitForStableContent(tab, { selector: adapter.listSelector });
+      if (snapshot?.mode === 'record') {
+        await snapshot.capture(tab, pageNumber);
+      }
+      const exhibitors = await adapter.scrape(tab, options);
+      console.log(`Page ${pageNumber}: ${exhibitors.length} exhibitors`);
+      return exhibitors;
+    } catch (err) {
+      console.log(`Error scraping page ${pageNumber} (${pageUrl}):`, err.message);
+      return null;
+    }
+  };
+
+  const pageResults = [];
+  let reachedEnd = false;
+  const batchSize = tabs.length;
+  const exhibitorKey = (exhibitor) => `${(exhibitor.companyName || '').toLowerCase()}|${exhibitor.booth || ''}`;
+  const seen = new Set(currentExhibitors.map(exhibitorKey));
+
+  try {
+    for (let start = 2; start <= lastPage && !reachedEnd; start += batchSize) {
+      options.signal?.throwIfAborted();
+      if (Date.now() >= deadline) {
+        console.log(`Reached maxPaginationDuration (${options.maxPaginationDuration}ms), stopping pagination`);
+        break;
+      }
+      const batch = [];
+      for (let pageNumber = start; pageNumber < start + batchSize && pageNumber <= lastPage; pageNumber++) {
+        batch.push(pageNumber);
+      }
+
+      const results = await Promise.all(batch.map((pageNumber, i) => scrapePageNumber(pageNumber, tabs[i])));
+
+      // Merge in page order; the first empty page, or one that repeats exhibitors already seen,
+      // marks the end of the list (failed pages are skipped)
+      for (const [i, exhibitors] of results.entries()) {
+        if (exhibitors === null) continue;
+        if (exhibitors.length === 0) {
+          reachedEnd = true;
+          break;
+        }
+        if (exhibitors.every(exhibitor => seen.has(exhibitorKey(exhibitor)))) {
+          console.log(`Page ${batch[i]} adds no new exhibitors, stopping pagination`);
+          reachedEnd = true;
+          break;
+        }
+        exhibitors.forEach(exhibitor => seen.add(exhibitorKey(exhibitor)));
+        pageResults.push(exhibitors);
+      }
+
+      if (options.onProgress) {
+        options.onProgress({
+          message: `Scraped ${Math.min(start + batchSize - 1, lastPage)} of ${totalPages ? lastPage : 'unknown'} pages`,
+          paginating: true,
+          current: Math.min(start + batchSize - 1, lastPage),
+          total: totalPages ? lastPage : null
+        });
+      }
+    }
+  } finally {
+    await Promise.all(tabs.slice(1).map(tab => releasePage(tab)));
+  }
+
+  return pageResults.reduce((all, exhibitors) => [...all, ...exhibitors], currentExhibitors);
+}
+
+// Click-through strategies that switch to parallel URL pagination when the pager links carry a page number
+const URL_UPGRADABLE_STRATEGIES = new Set(['smallworldlabs', 'next-button', 'next-selector']);
+
+// Strategies that grow the same page instead of replacing it: every round re-scrapes the whole list
+const CUMULATIVE_STRATEGIES = new Set(['infinite-scroll', 'load-more']);
+
+// Round limits for strategies picked per request rather than by the adapter
+const STRATEGY_MAX_PAGES = {
+  'infinite-scroll': 50,
+  'load-more': 50,
+  'url-param': 100
+};
+
+/**
+ * Names of the available pagination strategies
+ * @returns {string[]}
+ */
+export function listPaginationStrategies() {
+  return [...Object.keys(paginationStrategies), 'url-param'];
+}
+
+/**
+ * Walk through paginated results using the adapter's pagination strategy and
+ * scrape each page with the adapter's extraction function
+ * @param {import('puppeteer').Page} page - The Puppeteer page (already on the first page)
+ * @param {object[]} currentExhibitors - Exhibitors scraped from the first page
+ * @param {import('./adapters/index.js').Adapter} adapter - The platform adapter
+ * @param {string} originalUrl - The URL that was scraped
+ * @param {object} options - Scrape options (paginationStrategy, maxPages, maxItems, maxPaginationDuration)
+ * @param {object|null} snapshot - Snapshot recorder/replayer (see snapshots.js), if any
+ * @returns {Promise<object[]>} - All exhibitors across pages
+ */
+export async function handlePagination(page, currentExhibitors, adapter, originalUrl, options = {}, snapshot = null) {
+  // The request can override the adapter's strategy
+  const strategy = options.paginationStrategy || adapter.pagination.strategy;
+  const advance = paginationStrategies[strategy];
+  if (!advance && strategy !== 'url-param') {
+    throw new Error(`Unknown pagination strategy: ${strategy}`);
+  }
+
+  const cumulative = CUMULATIVE_STRATEGIES.has(strategy);
+  const defaultMaxPages = strategy === adapter.pagination.strategy
+    ? adapter.pagination.maxPages
+    : (STRATEGY_MAX_PAGES[strategy] ?? adapter.pagination.maxPages);
+  const maxPages = options.maxPages ?? defaultMaxPages;
+  const maxItems = options.maxItems ?? Infinity;
+  const deadline = options.maxPaginationDuration ? Date.now() + options.maxPaginationDuration : Infinity;
+
+  console.log(`Paginating with "${strategy}" strategy (max ${maxPages} pages)`);
+
+  // URL pagination fetches pages in parallel; a replay still walks the recorded pages one by one
+  if (strategy === 'url-param' && snapshot?.mode !== 'replay') {
+    const exhibitors = await paginateByUrl(page, currentExhibitors, adapter, originalUrl, options, maxPages, deadline, snapshot);
+    return exhibitors.length > maxItems ? exhibitors.slice(0, maxItems) : exhibitors;
+  }
+
+  // Pages reachable by URL don't need to be clicked through one at a time (opt out with urlPagination: false)
+  if (URL_UPGRADABLE_STRATEGIES.has(strategy) && !snapshot && options.urlPagination !== false) {
+    const detected = await detectUrlPagination(page, options.pageParam || adapter.pagination.pageParam || null).catch(() => null);
+    if (detected && detected.totalPages) {
+      console.log(`Pager links use the "${detected.param}" URL parameter - fetching pages in parallel instead of clicking`);
+      const exhibitors = await paginateByUrl(page, currentExhibitors, adapter, originalUrl, options, maxPages, deadline, null, detected);
+      return exhibitors.length > maxItems ? exhibitors.slice(0, maxItems) : exhibitors;
+    }
+  }
+
+  let pageCount = 0;
+
+  while (pageCount < maxPages) {
+    options.signal?.throwIfAborted();
+    if (currentExhibitors.length >= maxItems) {
+      console.log(`Reached maxItems (${maxItems}), stopping pagination`);
+      break;
+    }
+    if (Date.now() >= deadline) {
+      console.log(`Reached maxPaginationDuration (${options.maxPaginationDuration}ms), stopping pagination`);
+      break;
+    }
+
+    try {
+      // When replaying, the next page comes from the snapshot instead of the live site
+      const hasNextPage = snapshot?.mode === 'replay'
+        ? await snapshot.goto(pageCount + 2)
+        : await advance(page, pageCount, adapter, options);
+      if (!hasNextPage) {
+        break;
+      }
+
+      if (snapshot?.mode === 'record') {
+        await snapshot.capture(page, pageCount + 2);
+      }
+
+      // Scrape current page
+      const moreExhibitors = await adapter.scrape(page, options);
+
+      if (cumulative) {
+        // The page now holds the whole list so far - stop once a round adds nothing new
+        if (moreExhibitors.length <= currentExhibitors.length) {
+          console.log('No new items appeared, stopping pagination');
+          break;
+        }
+        currentExhibitors = moreExhibitors;
+      } else {
+        if (moreExhibitors.length === 0) {
+          break; // No more data, stop pagination
+        }
+        currentExhibitors = [...currentExhibitors, ...moreExhibitors];
+      }
+      pageCount++;
+    } catch (err) {
+      console.log('Pagination error or no more pages:', err.message);
+      break;
+    }
+  }
+
+  return currentExhibitors.length > maxItems ? currentExhibitors.slice(0, maxItems) : currentExhibitors;
+}
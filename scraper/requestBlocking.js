@@ -0,0 +1,104 @@
+// Resource types no adapter needs to read an exhibitor list
+const DEFAULT_BLOCKED_RESOURCE_TYPES = ['image', 'font', 'media'];
+
+// Third-party analytics, tag managers, ad and session-recording hosts
+const DEFAULT_BLOCKED_HOSTS = [
+  'google-analytics.com',
+  'googletagmanager.com',
+  'googleadservices.com',
+  'googlesyndication.com',
+  'doubleclick.net',
+  'connect.facebook.net',
+  'facebook.net',
+  'analytics.tiktok.com',
+  'snap.licdn.com',
+  'px.ads.linkedin.com',
+  'bat.bing.com',
+  'clarity.ms',
+  'hotjar.com',
+  'hotjar.io',
+  'fullstory.com',
+  'mixpanel.com',
+  'segment.com',
+  'segment.io',
+  'js.hs-analytics.net',
+  'js.hs-scripts.com',
+  'js.hsadspixel.net',
+  'js-agent.newrelic.com',
+  'bam.nr-data.net',
+  'optimizely.com',
+  'quantserve.com',
+  'scorecardresearch.com',
+  'adsrvr.org',
+  'criteo.com',
+  'taboola.com',
+  'outbrain.com'
+];
+
+function matchesHost(hostname, hosts) {
+  return hosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+}
+
+/**
+ * Abort requests for heavy resource types and known analytics hosts.
+ * The adapter can allow resource types or hosts it depends on (e.g. WPMA's booth map CSS),
+ * and the request can change the lists or turn blocking off with blockResources: false.
+ * @param {import('puppeteer').Page} page - The Puppeteer page (before navigation)
+ * @param {import('./adapters/index.js').Adapter|null} adapter - The platform adapter, if already known
+ * @param {object} options - Scrape options (blockResources, blockResourceTypes, allowResourceTypes, blockHosts, allowHosts)
+ * @returns {Promise<object|null>} - Blocker with stats() and setAdapter(adapter), or null when disabled
+ */
+export async function enableRequestBlocking(page, adapter, options = {}) {
+  if (options.blockResources === false) {
+    return null;
+  }
+
+  let blockedTypes = new Set();
+  let blockedHosts = [];
+  const counts = { blocked: 0, allowed: 0 };
+
+  // The adapter is usually only known after the first navigation, so the lists can be rebuilt
+  const configure = (currentAdapter) => {
+    const allowTypes = [...(currentAdapter?.allowResources || []), ...(options.allowResourceTypes || [])];
+    const allowHosts = [...(currentAdapter?.allowHosts || []), ...(options.allowHosts || [])];
+
+    blockedTypes = new Set((options.blockResourceTypes || DEFAULT_BLOCKED_RESOURCE_TYPES)
+      .filter(type => !allowTypes.includes(type)));
+    blockedHosts = [...DEFAULT_BLOCKED_HOSTS, ...(options.blockHosts || [])]
+      .filter(host => !allowHosts.includes(host));
+  };
+  configure(adapter);
+
+  await page.setRequestInterception(true);
+  page.on('request', (request) => {
+    if (request.isInterceptResolutionHandled()) return;
+
+    let hostname = '';
+    try {
+      hostname = new URL(request.url()).hostname.toLowerCase();
+    } catch (e) {
+      // data: and blob: URLs have no host
+    }
+
+    // Never block the document itself
+    const isDocument = request.isNavigationRequest() && request.frame() === page.mainFrame();
+    if (!isDocument && (blockedTypes.has(request.resourceType()) || (hostname && matchesHost(hostname, blockedHosts)))) {
+      counts.blocked++;
+      request.abort('blockedbyclient').catch(() => {});
+      return;
+    }
+
+    counts.allowed++;
+    request.continue().catch(() => {});
+  });
+
+  return {
+    setAdapter(currentAdapter) {
+      configure(currentAdapter);
+    },
+
+    stats() {
+      return { ...counts };
+    }
+  };
+}
@@ -0,0 +1,287 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { registerAdapter } from './adapters/index.js';
+import { listPaginationStrategies } from './pagination.js';
+import { waitForStableContent } from './helpers.js';
+
+// Fields every declarative site definition can extract
+const SUPPORTED_FIELDS = ['companyName', 'booth', 'website', 'category', 'description', 'location', 'detailUrl'];
+
+/**
+ * Declarative site definition. Lets a new show directory be onboarded by
+ * writing JSON instead of an adapter module.
+ *
+ * Example:
+ * {
+ *   "name": "myshow",
+ *   "match": ["myshow.com/exhibitors"],
+ *   "itemSelector": ".exhibitor-card",
+ *   "fields": {
+ *     "companyName": "h3",
+ *     "booth": { "selector": ".booth", "pattern": "Booth\\s*#?\\s*(\\S+)" },
+ *     "website": { "selector": "a.website", "attribute": "href" }
+ *   },
+ *   "filters": { "minLength": 2, "maxLength": 200, "exclude": ["^view all$"] },
+ *   "nextPageSelector": "a.next",
+ *   "maxPages": 10
+ * }
+ *
+ * @typedef {object} SiteConfig
+ * @property {string} name - Unique name, reported as the page type / source
+ * @property {string|string[]} [match] - URL substrings this definition applies to (not needed when sent with a request)
+ * @property {string[]} [fingerprints] - Selectors that identify the site's pages when the URL doesn't match (e.g. white-labelled domains)
+ * @property {string} itemSelector - CSS selector matching one element per exhibitor
+ * @property {string} [waitForSelector] - Selector to wait for before extracting (defaults to itemSelector)
+ * @property {Object<string, string|FieldConfig>} fields - Field name -> selector (text) or field config; companyName is required
+ * @property {{ minLength?: number, maxLength?: number, exclude?: string[], required?: string[] }} [filters] - Row filters
+ * @property {string} [nextPageSelector] - Selector of the "next page" control
+ * @property {string} [paginationStrategy] - Pagination strategy (default "next-selector"; "infinite-scroll" and "load-more" for growing lists)
+ * @property {string} [loadMoreSelector] - Selector of the "Load more" button (load-more strategy)
+ * @property {string} [scrollContainerSelector] - Scrollable element for the infinite-scroll strategy (default: the window)
+ * @property {number} [maxPages] - Max extra pages to follow (default 5)
+ * @property {object} [defaultOptions] - Scrape option defaults for this site
+ */
+
+/**
+ * @typedef {object} FieldConfig
+ * @property {string} [selector] - CSS selector relative to the item; omit to read from the item itself
+ * @property {string} [attribute] - "text" (default), "html", "href" (absolute URL) or any attribute name
+ * @property {string} [pattern] - Regex applied to the value; the first capture group (or whole match) is kept
+ */
+
+/**
+ * Validate a site definition
+ * @param {SiteConfig} config - The site definition
+ * @returns {string[]} - List of problems, empty if the definition is valid
+ */
+export function validateSiteConfig(config) {
+  const errors = [];
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['Site config must be an object'];
+  }
+
+  if (!config.name || typeof config.name !== 'string') {
+    errors.push('name is required and must be a string');
+  }
+  if (!config.itemSelector || typeof config.itemSelector !== 'string') {
+    errors.push('itemSelector is required and must be a string');
+  }
+  if (config.match !== undefined) {
+    const patterns = Array.isArray(config.match) ? config.match : [config.match];
+    if (patterns.some(p => typeof p !== 'string' || !p)) {
+      errors.push('match must be a non-empty string or an array of strings');
+    }
+  }
+
+  if (config.fingerprints !== undefined &&
+      (!Array.isArray(config.fingerprints) || config.fingerprints.some(f => typeof f !== 'string' || !f))) {
+    errors.push('fingerprints must be an array of selector strings');
+  }
+
+  if (!config.fields || typeof config.fields !== 'object' || Array.isArray(config.fields)) {
+    errors.push('fields is required and must be an object');
+  } else {
+    if (!config.fields.companyName) {
+      errors.push('fields.companyName is required');
+    }
+    for (const [field, fieldConfig] of Object.entries(config.fields)) {
+      if (!SUPPORTED_FIELDS.includes(field)) {
+        errors.push(`fields.${field} is not supported (supported: ${SUPPORTED_FIELDS.join(', ')})`);
+        continue;
+      }
+      if (typeof fieldConfig === 'string') continue;
+      if (!fieldConfig || typeof fieldConfig !== 'object') {
+        errors.push(`fields.${field} must be a selector string or an object`);
+        continue;
+      }
+      if (fieldConfig.pattern !== undefined) {
+        try {
+          new RegExp(fieldConfig.pattern);
+        } catch (e) {
+          errors.push(`fields.${field}.pattern is not a valid regular expression`);
+        }
+      }
+    }
+  }
+
+  if (config.filters?.exclude !== undefined) {
+    if (!Array.isArray(config.filters.exclude)) {
+      errors.push('filters.exclude must be an array of regular expressions');
+    } else {
+      config.filters.exclude.forEach((pattern, i) => {
+        try {
+          new RegExp(pattern, 'i');
+        } catch (e) {
+          errors.push(`filters.exclude[${i}] is not a valid regular expression`);
+        }
+      });
+    }
+  }
+
+  if (config.paginationStrategy !== undefined && !listPaginationStrategies().includes(config.paginationStrategy)) {
+    errors.push(`paginationStrategy must be one of: ${listPaginationStrategies().join(', ')}`);
+  }
+
+  if (config.maxPages !== undefined && (!Number.isInteger(config.maxPages) || config.maxPages < 0)) {
+    errors.push('maxPages must be a non-negative integer');
+  }
+
+  if (config.defaultOptions !== undefined &&
+      (!config.defaultOptions || typeof config.defaultOptions !== 'object' || Array.isArray(config.defaultOptions))) {
+    errors.push('defaultOptions must be an object');
+  }
+
+  return errors;
+}
+
+/**
+ * Run a site definition against the current page
+ * @param {import('puppeteer').Page} page - The Puppeteer page
+ * @param {SiteConfig} config - The site definition
+ * @returns {Promise<object[]>} - Array of exhibitors
+ */
+async function scrapeWithSiteConfig(page, config) {
+  console.log(`Scraping with site config "${config.name}"...`);
+
+  try {
+    await page.waitForSelector(config.waitForSelector || config.itemSelector, { timeout: 20000 });
+  } catch (err) {
+    console.log(`Selector "${config.waitForSelector || config.itemSelector}" not found, continuing anyway...`);
+  }
+  await waitForStableContent(page, { selector: config.itemSelector });
+
+  const exhibitorsData = await page.evaluate((cfg) => {
+    const results = [];
+    const seen = new Set();
+    const filters = cfg.filters || {};
+    const minLength = filters.minLength ?? 2;
+    const maxLength = filters.maxLength ?? 200;
+    const excludePatterns = (filters.exclude || []).map(p => new RegExp(p, 'i'));
+    const required = filters.required || ['companyName'];
+
+    function readField(item, fieldConfig) {
+      const fc = typeof fieldConfig === 'string' ? { selector: fieldConfig } : fieldConfig;
+      const el = fc.selector ? item.querySelector(fc.selector) : item;
+      if (!el) return '';
+
+      const attribute = fc.attribute || 'text';
+      let value = '';
+      if (attribute === 'text') {
+        value = el.textContent || '';
+      } else if (attribute === 'html') {
+        value = el.innerHTML || '';
+      } else if (attribute === 'href') {
+        // el.href is already resolved against the page URL
+        value = el.href || el.getAttribute('href') || '';
+      } else {
+        value = el.getAttribute(attribute) || '';
+      }
+      value = value.replace(/\s+/g, ' ').trim();
+
+      if (fc.pattern && value) {
+        const match = value.match(new RegExp(fc.pattern, 'i'));
+        value = match ? (match[1] ?? match[0]).trim() : '';
+      }
+      return value;
+    }
+
+    document.querySelectorAll(cfg.itemSelector).forEach(item => {
+      try {
+        const record = {};
+        for (const [field, fieldConfig] of Object.entries(cfg.fields)) {
+          record[field] = readField(item, fieldConfig);
+        }
+
+        if (required.some(field => !record[field])) return;
+
+        const name = record.companyName || '';
+        if (name.length < minLength || name.length > maxLength) return;
+        if (excludePatterns.some(re => re.test(name))) return;
+
+        const key = name.toLowerCase();
+        if (seen.has(key)) return;
+        seen.add(key);
+
+        results.push(record);
+      } catch (err) {
+        // Skip this item if there's an error
+      }
+    });
+
+    return results;
+  }, config);
+
+  console.log(`Extracted ${exhibitorsData.length} exhibitors with site config "${config.name}"`);
+
+  return exhibitorsData.map(item => ({
+    ...item,
+    website: item.website || '',
+    source: config.name
+  }));
+}
+
+/**
+ * Build a platform adapter from a site definition
+ * @param {SiteConfig} config - The site definition
+ * @returns {import('./adapters/index.js').Adapter}
+ */
+export function createConfigAdapter(config) {
+  const errors = validateSiteConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid site config${config?.name ? ` "${config.name}"` : ''}: ${errors.join('; ')}`);
+  }
+
+  const patterns = config.match === undefined ? [] : (Array.isArray(config.match) ? config.match : [config.match]);
+
+  return {
+    name: config.name,
+    match: (url) => patterns.some(pattern => url.includes(pattern)),
+    fingerprints: config.fingerprints || [],
+    scrape: (page) => scrapeWithSiteConfig(page, config),
+    pagination: {
+      strategy: config.paginationStrategy || 'next-selector',
+      nextSelector: config.nextPageSelector || null,
+      loadMoreSelector: config.loadMoreSelector || null,
+      scrollContainerSelector: config.scrollContainerSelector || null,
+      maxPages: config.maxPages ?? 5
+    },
+    listSelector: config.itemSelector,
+    defaultOptions: config.defaultOptions || {},
+    siteConfig: config
+  };
+}
+
+/**
+ * Load every *.json site definition in a directory and register it as an adapter.
+ * Invalid files are logged and skipped so one bad config can't break the others.
+ * @param {string} dir - Directory containing site definitions
+ * @returns {Promise<string[]>} - Names of the registered site definitions
+ */
+export async function loadSiteConfigs(dir) {
+  let files = [];
+  try {
+    files = (await fs.readdir(dir)).filter(file => file.endsWith('.json'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error(`Error reading site config directory ${dir}:`, err.message);
+    }
+    return [];
+  }
+
+  const loaded = [];
+  for (const file of files) {
+    try {
+      const config = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+      registerAdapter(createConfigAdapter(config));
+      loaded.push(config.name);
+    } catch (err) {
+      console.error(`Skipping site config ${file}:`, err.message);
+    }
+  }
+
+  if (loaded.length > 0) {
+    console.log(`Loaded ${loaded.length} site config(s) from ${dir}: ${loaded.join(', ')}`);
+  }
+  return loaded;
+}
@@ -0,0 +1,149 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Snapshots are stored as <SNAPSHOTS_DIR>/<name>/page-001.html, page-002.html, ... plus meta.json.
+// The default sits under data/, which is git-ignored - recorded pages are third-party content.
+const SNAPSHOTS_DIR = process.env.SNAPSHOTS_DIR || fileURLToPath(new URL('../data/snapshots', import.meta.url));
+
+/**
+ * Resolve a snapshot name to its directory, rejecting anything that could escape SNAPSHOTS_DIR
+ * @param {string} name - Snapshot name (letters, digits, dot, dash, underscore)
+ * @returns {string} - Absolute snapshot directory
+ */
+function getSnapshotDir(name) {
+  if (!name || typeof name !== 'string' || !/^[a-zA-Z0-9._-]+$/.test(name) || name.startsWith('.')) {
+    throw new Error(`Invalid snapshot name: ${name}`);
+  }
+  return path.join(SNAPSHOTS_DIR, name);
+}
+
+function getPageFile(pageNumber) {
+  return `page-${String(pageNumber).padStart(3, '0')}.html`;
+}
+
+/**
+ * Start recording a snapshot. Any existing snapshot with the same name is replaced.
+ * @param {string} name - Snapshot name
+ * @param {string} url - The URL being scraped
+ * @param {string} adapterName - Name of the adapter used for the scrape
+ * @returns {Promise<object>} - Recorder with capture(page, pageNumber) and finish(extra)
+ */
+export async function createSnapshotRecorder(name, url, adapterName) {
+  const dir = getSnapshotDir(name);
+  await fs.rm(dir, { recursive: true, force: true });
+  await fs.mkdir(dir, { recursive: true });
+
+  let pageCount = 0;
+
+  return {
+    name,
+    mode: 'record',
+
+    // Save the rendered HTML of the current page
+    async capture(page, pageNumber) {
+      const html = await page.content();
+      await fs.writeFile(path.join(dir, getPageFile(pageNumber)), html, 'utf8');
+      pageCount = Math.max(pageCount, pageNumber);
+      console.log(`Snapshot "${name}": saved page ${pageNumber}`);
+    },
+
+    // Write meta.json once the scrape is done
+    async finish(extra = {}) {
+      const meta = {
+        name,
+        url,
+        adapter: adapterName,
+        pages: pageCount,
+        recordedAt: new Date().toISOString(),
+        ...extra
+      };
+      await fs.writeFile(path.join(dir, 'meta.json'), JSON.stringify(meta, null, 2), 'utf8');
+      console.log(`Snapshot "${name}" recorded (${pageCount} page(s)) in ${dir}`);
+      return meta;
+    }
+  };
+}
+
+/**
+ * Load a recorded snapshot's metadata
+ * @param {string} name - Snapshot name
+ * @returns {Promise<object>} - Snapshot metadata (url, adapter, pages, paginationStrategy, recordedAt)
+ */
+export async function loadSnapshot(name) {
+  const dir = getSnapshotDir(name);
+  try {
+    const meta = JSON.parse(await fs.readFile(path.join(dir, 'meta.json'), 'utf8'));
+    return { ...meta, dir };
+  } catch (err) {
+    throw new Error(`Snapshot "${name}" not found or incomplete: ${err.message}`);
+  }
+}
+
+/**
+ * Serve a snapshot's pages to a Puppeteer page from local files. The HTML is
+ * answered at the original URL (so page.url() and relative links behave the same
+ * as the live run), page scripts are disabled and every other request is aborted,
+ * so replay never touches the network.
+ * @param {import('puppeteer').Page} page - The Puppeteer page
+ * @param {object} snapshot - Snapshot metadata from loadSnapshot
+ * @returns {Promise<object>} - Replayer with goto(pageNumber)
+ */
+export async function createSnapshotReplayer(page, snapshot) {
+  let currentHtml = '';
+
+  await page.setJavaScriptEnabled(false);
+  await page.setRequestInterception(true);
+  page.on('request', (request) => {
+    if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+      request.respond({
+        status: 200,
+        contentType: 'text/html; charset=utf-8',
+        body: currentHtml
+      });
+    } else {
+      request.abort();
+    }
+  });
+
+  return {
+    name: snapshot.name,
+    mode: 'replay',
+    pages: snapshot.pages,
+
+    // Load a recorded page; returns false when the snapshot has no such page
+    async goto(pageNumber) {
+      if (pageNumber > snapshot.pages) {
+        return false;
+      }
+      currentHtml = await fs.readFile(path.join(snapshot.dir, getPageFile(pageNumber)), 'utf8');
+      await page.goto(snapshot.url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+      console.log(`Snapshot "${snapshot.name}": replaying page ${pageNumber} of ${snapshot.pages}`);
+      return true;
+    }
+  };
+}
+
+/**
+ * List recorded snapshots
+ * @returns {Promise<object[]>} - Metadata of every complete snapshot
+ */
+export async function listSnapshots() {
+  let names = [];
+  try {
+    names = await fs.readdir(SNAPSHOTS_DIR);
+  } catch (err) {
+    return [];
+  }
+
+  const snapshots = [];
+  for (const name of names) {
+    try {
+      const { dir, ...meta } = await loadSnapshot(name);
+      snapshots.push(meta);
+    } catch (err) {
+      // Skip directories without meta.json
+    }
+  }
+  return snapshots;
+}
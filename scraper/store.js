@@ -0,0 +1,390 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { isServerlessEnv } from './browserPool.js';
+import { envNumber } from './helpers.js';
+
+// Local JSON store: <STORE_DIR>/shows.json, runs.json, schedules.json, webhooks.json,
+// webhook-deliveries.json and api-keys.json, plus exhibitors/<runId>.json per run.
+// Serverless deployments can only write to the temp directory, which doesn't outlive the
+// instance - set STORE_DIR to a mounted volume there to keep history.
+const STORE_DIR = process.env.STORE_DIR || (isServerlessEnv()
+  ? path.join(os.tmpdir(), 'exhibitor-scraper-data')
+  : fileURLToPath(new URL('../data', import.meta.url)));
+// Whether the store outlives this process's instance (false on serverless without STORE_DIR)
+export const STORE_IS_PERSISTENT = Boolean(process.env.STORE_DIR) || !isServerlessEnv();
+// Finished runs kept per show; older runs and their exhibitor files are deleted
+const MAX_RUNS_PER_SHOW = envNumber('STORE_MAX_RUNS_PER_SHOW', 50);
+const SHOWS_FILE = path.join(STORE_DIR, 'shows.json');
+const RUNS_FILE = path.join(STORE_DIR, 'runs.json');
+const SCHEDULES_FILE = path.join(STORE_DIR, 'schedules.json');
+const WEBHOOKS_FILE = path.join(STORE_DIR, 'webhooks.json');
+const DELIVERIES_FILE = path.join(STORE_DIR, 'webhook-deliveries.json');
+const API_KEYS_FILE = path.join(STORE_DIR, 'api-keys.json');
+const EXHIBITORS_DIR = path.join(STORE_DIR, 'exhibitors');
+
+let state = null;
+// Writes are chained so concurrent scrapes never interleave partial files
+let writeChain = Promise.resolve();
+
+async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+// Write to a temp file first so a crash never leaves a truncated store
+async function writeJson(file, data) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data, null, 2), 'utf8');
+  await fs.rename(tmp, file);
+}
+
+async function load() {
+  if (!state) {
+    state = Promise.all([
+      readJson(SHOWS_FILE, []),
+      readJson(RUNS_FILE, []),
+      readJson(SCHEDULES_FILE, []),
+      readJson(WEBHOOKS_FILE, []),
+      readJson(DELIVERIES_FILE, []),
+      readJson(API_KEYS_FILE, [])
+    ])
+      .then(([shows, runs, schedules, webhooks, deliveries, apiKeys]) => ({ shows, runs, schedules, webhooks, deliveries, apiKeys }))
+      .catch((error) => {
+        state = null;
+        throw error;
+      });
+  }
+  return state;
+}
+
+function persist(task) {
+  const next = writeChain.then(task);
+  writeChain = next.catch(() => {});
+  return next;
+}
+
+// Insert or replace a record (matched by id) in one of the collections and write its file
+async function upsert(collection, file, record) {
+  const db = await load();
+  const index = db[collection].findIndex(r => r.id === record.id);
+  if (index === -1) {
+    db[collection].push(record);
+  } else {
+    db[collection][index] = record;
+  }
+  await persist(() => writeJson(file, db[collection]));
+  return record;
+}
+
+async function remove(collection, file, id) {
+  const db = await load();
+  const index = db[collection].findIndex(r => r.id === id);
+  if (index === -1) return false;
+  db[collection].splice(index, 1);
+  await persist(() => writeJson(file, db[collection]));
+  return true;
+}
+
+function getRunFile(runId) {
+  if (!/^[\w-]+$/.test(runId)) {
+    throw new Error(`Invalid run ID: ${runId}`);
+  }
+  return path.join(EXHIBITORS_DIR, `${runId}.json`);
+}
+
+/**
+ * Normalize a show URL so the same show isn't stored twice (case of the host, trailing slash, fragment)
+ * @param {string} url - The show URL
+ * @returns {string}
+ */
+export function normalizeShowUrl(url) {
+  try {
+    const parsed = new URL(url.trim());
+    parsed.hash = '';
+    parsed.hostname = parsed.hostname.toLowerCase();
+    return parsed.toString().replace(/\/$/, '');
+  } catch (e) {
+    return url.trim();
+  }
+}
+
+// Options as they can be stored: no callbacks, AbortSignal, quota budget or owner
+function serializableOptions(options = {}) {
+  return Object.fromEntries(Object.entries(options)
+    .filter(([key, value]) => typeof value !== 'function' && !['signal', 'websiteLookupBudget', 'apiKeyId'].includes(key)));
+}
+
+/**
+ * Record the start of a scrape run, creating the show on its first run.
+ * Shows are shared by URL; runs belong to the API key in options.apiKeyId and only it can read them.
+ * @param {string} url - The URL being scraped
+ * @param {object} options - Scrape options (callbacks are left out)
+ * @returns {Promise<object>} - The run record
+ */
+export async function startRun(url, options = {}) {
+  const db = await load();
+  const showUrl = normalizeShowUrl(url);
+  const now = new Date().toISOString();
+
+  let show = db.shows.find(s => s.url === showUrl);
+  if (!show) {
+    show = { id: crypto.randomUUID(), url: showUrl, createdAt: now, lastRunAt: null, runCount: 0 };
+    db.shows.push(show);
+  }
+  show.lastRunAt = now;
+  show.runCount++;
+
+  const run = {
+    id: crypto.randomUUID(),
+    showId: show.id,
+    apiKeyId: options.apiKeyId ?? null,
+    url,
+    options: serializableOptions(options),
+    status: 'running',
+    startedAt: now,
+    finishedAt: null,
+    durationMs: null,
+    exhibitorCount: null,
+    error: null
+  };
+  db.runs.push(run);
+
+  await persist(() => Promise.all([writeJson(SHOWS_FILE, db.shows), writeJson(RUNS_FILE, db.runs)]));
+  return run;
+}
+
+// Drop the oldest finished runs of one key's show beyond MAX_RUNS_PER_SHOW; returns the dropped runs
+function pruneRuns(db, showId, apiKeyId) {
+  const finished = db.runs
+    .filter(r => r.showId === showId && r.apiKeyId === apiKeyId && r.status !== 'running')
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  const dropped = new Set(finished.slice(MAX_RUNS_PER_SHOW));
+  if (dropped.size === 0) return [];
+
+  db.runs = db.runs.filter(r => !dropped.has(r));
+  return [...dropped];
+}
+
+async function deleteRunFile(runId) {
+  try {
+    await fs.unlink(getRunFile(runId));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+/**
+ * Record how a run ended and, when it completed, its exhibitors.
+ * The API key's runs of the show beyond STORE_MAX_RUNS_PER_SHOW are deleted, oldest first.
+ * @param {string} runId - The run ID
+ * @param {{ status: string, exhibitors?: object[], error?: string }} outcome - 'completed', 'failed' or 'cancelled'
+ * @returns {Promise<object|null>} - The updated run record
+ */
+export async function finishRun(runId, { status, exhibitors = null, error = null }) {
+  const db = await load();
+  const run = db.runs.find(r => r.id === runId);
+  if (!run) return null;
+
+  run.status = status;
+  run.finishedAt = new Date().toISOString();
+  run.durationMs = Date.parse(run.finishedAt) - Date.parse(run.startedAt);
+  run.exhibitorCount = exhibitors ? exhibitors.length : null;
+  run.error = error;
+  const pruned = pruneRuns(db, run.showId, run.apiKeyId);
+
+  await persist(async () => {
+    if (exhibitors) {
+      await writeJson(getRunFile(run.id), exhibitors);
+    }
+    await writeJson(RUNS_FILE, db.runs);
+    await Promise.all(pruned.map(r => deleteRunFile(r.id)));
+  });
+  if (pruned.length > 0) {
+    console.log(`Deleted ${pruned.length} old run(s) of show ${run.showId}`);
+  }
+  return run;
+}
+
+// A show as one API key sees it: lastRunAt and runCount only count that key's stored runs
+function showForKey(show, runs) {
+  return { ...show, lastRunAt: runs[0]?.startedAt ?? null, runCount: runs.length };
+}
+
+/**
+ * List the shows an API key has scraped, most recently scraped first
+ * @param {string} apiKeyId - The API key asking
+ * @returns {Promise<object[]>}
+ */
+export async function listShows(apiKeyId) {
+  const db = await load();
+  const runs = await listRuns(null, apiKeyId);
+  return db.shows
+    .map(show => showForKey(show, runs.filter(r => r.showId === show.id)))
+    .filter(show => show.runCount > 0)
+    .sort((a, b) => b.lastRunAt.localeCompare(a.lastRunAt));
+}
+
+/**
+ * Get a show with an API key's runs of it (newest first)
+ * @param {string} showId - The show ID
+ * @param {string} apiKeyId - The API key asking
+ * @returns {Promise<object|null>} - null if there is no such show or the key has no runs of it
+ */
+export async function getShow(showId, apiKeyId) {
+  const db = await load();
+  const show = db.shows.find(s => s.id === showId);
+  if (!show) return null;
+  const runs = await listRuns(showId, apiKeyId);
+  return runs.length > 0 ? { ...showForKey(show, runs), runs } : null;
+}
+
+/**
+ * List an API key's runs, newest first, optionally for one show
+ * @param {string|null} showId - Only runs of this show
+ * @param {string} apiKeyId - The API key asking
+ * @returns {Promise<object[]>}
+ */
+export async function listRuns(showId, apiKeyId) {
+  const db = await load();
+  return db.runs
+    .filter(r => (!showId || r.showId === showId) && r.apiKeyId === apiKeyId)
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+/**
+ * Get one run record. Runs of other API keys are treated as missing.
+ * @param {string} runId - The run ID
+ * @param {string} apiKeyId - The API key asking
+ * @returns {Promise<object|null>}
+ */
+export async function getRun(runId, apiKeyId) {
+  const db = await load();
+  return db.runs.find(r => r.id === runId && r.apiKeyId === apiKeyId) || null;
+}
+
+/**
+ * Exhibitors saved for a run
+ * @param {string} runId - The run ID
+ * @param {string} apiKeyId - The API key asking
+ * @returns {Promise<object[]|null>} - null if the key has no such run or it saved no exhibitors
+ */
+export async function getRunExhibitors(runId, apiKeyId) {
+  const run = await getRun(runId, apiKeyId);
+  if (!run) return null;
+  return readJson(getRunFile(run.id), null);
+}
+
+/**
+ * List saved re-scrape schedules
+ * @returns {Promise<object[]>}
+ */
+export async function listSchedules() {
+  const db = await load();
+  return db.schedules;
+}
+
+/**
+ * Insert or update a schedule (matched by id)
+ * @param {object} schedule - The schedule record
+ * @returns {Promise<object>}
+ */
+export async function saveSchedule(schedule) {
+  return upsert('schedules', SCHEDULES_FILE, schedule);
+}
+
+/**
+ * Delete a schedule
+ * @param {string} scheduleId - The schedule ID
+ * @returns {Promise<boolean>} - false if there was no such schedule
+ */
+export async function deleteSchedule(scheduleId) {
+  return remove('schedules', SCHEDULES_FILE, scheduleId);
+}
+
+/**
+ * List registered webhooks (including their signing secrets)
+ * @returns {Promise<object[]>}
+ */
+export async function listWebhooks() {
+  const db = await load();
+  return db.webhooks;
+}
+
+/**
+ * Insert or update a webhook (matched by id)
+ * @param {object} webhook - The webhook record
+ * @returns {Promise<object>}
+ */
+export async function saveWebhook(webhook) {
+  return upsert('webhooks', WEBHOOKS_FILE, webhook);
+}
+
+/**
+ * Delete a webhook. Its delivery log is kept until it ages out.
+ * @param {string} webhookId - The webhook ID
+ * @returns {Promise<boolean>} - false if there was no such webhook
+ */
+export async function deleteWebhook(webhookId) {
+  return remove('webhooks', WEBHOOKS_FILE, webhookId);
+}
+
+/**
+ * Webhook delivery log, newest first
+ * @param {string} [webhookId] - Only deliveries to this webhook
+ * @returns {Promise<object[]>}
+ */
+export async function listDeliveries(webhookId = null) {
+  const db = await load();
+  return db.deliveries
+    .filter(d => !webhookId || d.webhookId === webhookId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Insert or update a delivery log entry, dropping the oldest entries beyond `limit`
+ * @param {object} delivery - The delivery record
+ * @param {number} limit - Most deliveries kept in the log
+ * @returns {Promise<object>}
+ */
+export async function saveDelivery(delivery, limit) {
+  const db = await load();
+  if (!db.deliveries.some(d => d.id === delivery.id) && db.deliveries.length >= limit) {
+    db.deliveries.splice(0, db.deliveries.length - limit + 1);
+  }
+  return upsert('deliveries', DELIVERIES_FILE, delivery);
+}
+
+/**
+ * List API key records (hashes, quotas and usage - the keys themselves are never stored)
+ * @returns {Promise<object[]>}
+ */
+export async function listApiKeys() {
+  const db = await load();
+  return db.apiKeys;
+}
+
+/**
+ * Insert or update an API key record (matched by id)
+ * @param {object} apiKey - The key record
+ * @returns {Promise<object>}
+ */
+export async function saveApiKey(apiKey) {
+  return upsert('apiKeys', API_KEYS_FILE, apiKey);
+}
+
+/**
+ * Delete an API key record
+ * @param {string} apiKeyId - The key ID
+ * @returns {Promise<boolean>} - false if there was no such key
+ */
+export async function deleteApiKey(apiKeyId) {
+  return remove('apiKeys', API_KEYS_FILE, apiKeyId);
+}
@@ -0,0 +1,364 @@
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import { lookup as dnsLookup } from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { listWebhooks, saveWebhook, deleteWebhook as removeWebhook, listDeliveries, saveDelivery } from './store.js';
+import { envNumber } from './helpers.js';
+
+export const WEBHOOK_EVENTS = ['scrape.completed', 'scrape.failed', 'show.exhibitors_changed'];
+
+const config = {
+  // Attempts per delivery, including the first
+  maxAttempts: envNumber('WEBHOOK_MAX_ATTEMPTS', 5),
+  // Wait before the first retry; doubles after every failed attempt
+  retryBaseDelay: envNumber('WEBHOOK_RETRY_BASE_MS', 2000),
+  timeout: envNumber('WEBHOOK_TIMEOUT_MS', 10000),
+  // Deliveries kept in the log
+  logSize: envNumber('WEBHOOK_LOG_SIZE', 1000),
+  // For development and tests only: lets webhooks reach localhost and private networks
+  allowPrivateTargets: process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true'
+};
+
+// Private, loopback, link-local and other non-public ranges a webhook must not reach - the
+// server would otherwise POST into its own network (metadata endpoints, internal services).
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+function isBlockedAddress(address) {
+  return !config.allowPrivateTargets && BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup for delivery requests: the address the socket actually connects to is checked too,
+// so a DNS record that changes between checkWebhookTarget and the connect (rebinding) is refused.
+// Called with { all: true } when Node tries several addresses, so both result shapes are handled.
+function guardedLookup(hostname, options, callback) {
+  dnsLookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`url must not point to a private, loopback or link-local address (${hostname} resolves to ${blocked.address})`));
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Check that a webhook URL resolves to public addresses only. Runs on registration and
+ * again before every delivery, since DNS records can change after registration.
+ * Always passes with WEBHOOK_ALLOW_PRIVATE_TARGETS=true.
+ * @param {string} url - The webhook URL
+ * @returns {Promise<string|null>} - The problem, or null if the URL may be called
+ */
+export async function checkWebhookTarget(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  } catch (e) {
+    return 'url must be an absolute URL';
+  }
+
+  let addresses;
+  try {
+    addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.lookup(hostname, { all: true });
+  } catch (error) {
+    return `url host ${hostname} could not be resolved (${error.code || error.message})`;
+  }
+  const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+  if (!blocked) return null;
+  return `url must not point to a private, loopback or link-local address${blocked.address === hostname ? '' : ` (${hostname} resolves to ${blocked.address})`}`;
+}
+
+/**
+ * Sign a payload the way receivers should verify it:
+ * HMAC-SHA256 of "<timestamp>.<raw body>" with the webhook secret, hex encoded
+ * @param {string} secret - The webhook secret
+ * @param {string} timestamp - Value of the X-Webhook-Timestamp header
+ * @param {string} body - The raw JSON body
+ * @returns {string} - Value of the X-Webhook-Signature header
+ */
+export function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Secrets are only shown when the webhook is created
+function publicWebhook({ secret, ...webhook }) {
+  return webhook;
+}
+
+/**
+ * Check a webhook registration
+ * @param {object} input - { url, events, secret }
+ * @returns {string[]} - List of problems, empty if valid
+ */
+export function validateWebhook(input) {
+  const errors = [];
+  if (!input || typeof input !== 'object') {
+    return ['Webhook must be an object'];
+  }
+
+  let url = null;
+  try {
+    url = new URL(input.url);
+  } catch (e) {
+    errors.push('url is required and must be an absolute URL');
+  }
+  if (url && !['http:', 'https:'].includes(url.protocol)) {
+    errors.push('url must use http or https');
+  }
+
+  if (!Array.isArray(input.events) || input.events.length === 0) {
+    errors.push(`events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`);
+  } else {
+    for (const event of input.events) {
+      if (!WEBHOOK_EVENTS.includes(event)) {
+        errors.push(`Unknown event "${event}" (expected one of: ${WEBHOOK_EVENTS.join(', ')})`);
+      }
+    }
+  }
+
+  if (input.secret !== undefined && (typeof input.secret !== 'string' || input.secret.length < 16)) {
+    errors.push('secret must be a string of at least 16 characters');
+  }
+  return errors;
+}
+
+/**
+ * Register a webhook. A signing secret is generated unless one is given.
+ * @param {object} input - { url, events, secret } (see validateWebhook)
+ * @param {string} apiKeyId - The API key that owns the webhook
+ * @returns {Promise<object>} - The webhook, including its secret
+ */
+export async function createWebhook(input, apiKeyId) {
+  const errors = validateWebhook(input);
+  if (errors.length === 0) {
+    const targetError = await checkWebhookTarget(input.url);
+    if (targetError) errors.push(targetError);
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid webhook: ${errors.join('; ')}`);
+  }
+
+  const webhook = {
+    id: crypto.randomUUID(),
+    apiKeyId,
+    url: input.url,
+    events: [...new Set(input.events)],
+    secret: input.secret || crypto.randomBytes(32).toString('hex'),
+    createdAt: new Date().toISOString()
+  };
+  await saveWebhook(webhook);
+  console.log(`Webhook ${webhook.id} registered for ${webhook.events.join(', ')}: ${webhook.url}`);
+  return webhook;
+}
+
+// Webhooks of other API keys are treated as missing
+async function findWebhook(id, apiKeyId) {
+  return (await listWebhooks()).find(w => w.id === id && w.apiKeyId === apiKeyId) || null;
+}
+
+/**
+ * @param {string} apiKeyId - Only webhooks owned by this API key
+ * @returns {Promise<object[]>} - Registered webhooks, without secrets
+ */
+export async function getWebhooks(apiKeyId) {
+  return (await listWebhooks()).filter(w => w.apiKeyId === apiKeyId).map(publicWebhook);
+}
+
+/**
+ * @param {string} id - The webhook ID
+ * @param {string} apiKeyId - The API key asking
+ * @returns {Promise<object|null>} - The webhook without its secret, or null if there is no such webhook for this key
+ */
+export async function getWebhook(id, apiKeyId) {
+  const webhook = await findWebhook(id, apiKeyId);
+  return webhook ? publicWebhook(webhook) : null;
+}
+
+/**
+ * Remove a webhook. Deliveries already retrying are abandoned.
+ * @param {string} id - The webhook ID
+ * @param {string} apiKeyId - The API key asking
+ * @returns {Promise<boolean>} - false if there was no such webhook for this key
+ */
+export async function deleteWebhook(id, apiKeyId) {
+  if (!(await findWebhook(id, apiKeyId))) return false;
+  return removeWebhook(id);
+}
+
+/**
+ * Delivery log of one webhook, newest first
+ * @param {string} id - The webhook ID
+ * @returns {Promise<object[]>}
+ */
+export async function getDeliveries(id) {
+  return listDeliveries(id);
+}
+
+// POST a body and resolve with the response status. Redirects are not followed - they could lead
+// to an address checkWebhookTarget would have refused.
+function postWebhook(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    const request = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: guardedLookup
+    }, (response) => {
+      clearTimeout(timer);
+      response.resume();
+      resolve(response.statusCode);
+    });
+    const timer = setTimeout(() => request.destroy(new Error(`Timed out after ${config.timeout}ms`)), config.timeout);
+    request.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    request.end(body);
+  });
+}
+
+async function attemptDelivery(webhook, delivery, body) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const started = Date.now();
+  const attempt = { at: new Date().toISOString(), statusCode: null, error: null, durationMs: null };
+
+  const targetError = await checkWebhookTarget(webhook.url);
+  if (targetError) {
+    attempt.error = targetError;
+    attempt.durationMs = Date.now() - started;
+    return attempt;
+  }
+
+  try {
+    attempt.statusCode = await postWebhook(webhook.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'exhibitor-scraper-webhooks',
+      'X-Webhook-Id': webhook.id,
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Delivery': delivery.id,
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+    }, body);
+    if (attempt.statusCode < 200 || attempt.statusCode >= 300) {
+      attempt.error = `HTTP ${attempt.statusCode}`;
+    }
+  } catch (error) {
+    attempt.error = error.message;
+  }
+
+  attempt.durationMs = Date.now() - started;
+  return attempt;
+}
+
+// Deliver one event to one webhook, retrying with exponential backoff
+async function deliver(webhook, event, payload) {
+  const delivery = {
+    id: crypto.randomUUID(),
+    webhookId: webhook.id,
+    event,
+    url: webhook.url,
+    status: 'pending',
+    attempts: [],
+    createdAt: new Date().toISOString(),
+    deliveredAt: null,
+    nextAttemptAt: null
+  };
+  // The body is signed once and sent unchanged on every retry
+  const body = JSON.stringify({ id: delivery.id, event, createdAt: delivery.createdAt, data: payload });
+
+  for (let attemptNumber = 1; attemptNumber <= config.maxAttempts; attemptNumber++) {
+    const attempt = await attemptDelivery(webhook, delivery, body);
+    delivery.attempts.push(attempt);
+
+    if (!attempt.error) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = attempt.at;
+      delivery.nextAttemptAt = null;
+      await saveDelivery(delivery, config.logSize);
+      return delivery;
+    }
+
+    const wait = config.retryBaseDelay * 2 ** (attemptNumber - 1);
+    const retrying = attemptNumber < config.maxAttempts;
+    delivery.nextAttemptAt = retrying ? new Date(Date.now() + wait).toISOString() : null;
+    if (!retrying) {
+      delivery.status = 'failed';
+    }
+    await saveDelivery(delivery, config.logSize);
+    console.log(`Webhook ${webhook.id} ${event} attempt ${attemptNumber} failed: ${attempt.error}${retrying ? ` - retrying in ${wait}ms` : ''}`);
+
+    if (!retrying) break;
+    await new Promise(resolve => setTimeout(resolve, wait).unref?.());
+
+    // Stop retrying if the webhook was removed in the meantime
+    if (!(await listWebhooks()).some(w => w.id === webhook.id)) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      delivery.attempts.push({ at: new Date().toISOString(), statusCode: null, error: 'Webhook deleted', durationMs: 0 });
+      await saveDelivery(delivery, config.logSize);
+      break;
+    }
+  }
+
+  return delivery;
+}
+
+// Webhooks of an API key subscribed to an event; work without a key reaches no webhook
+async function subscribers(event, apiKeyId) {
+  if (!apiKeyId) return [];
+  return (await listWebhooks()).filter(w => w.apiKeyId === apiKeyId && w.events.includes(event));
+}
+
+/**
+ * Send an event to the webhooks of the API key the event is about. Returns once deliveries
+ * are started; retries continue in the background.
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {object} payload - Event data (sent as `data`)
+ * @param {string} apiKeyId - The API key whose scrape the event is about
+ * @returns {Promise<number>} - Number of webhooks the event is sent to
+ */
+export async function emitEvent(event, payload, apiKeyId) {
+  const webhooks = await subscribers(event, apiKeyId);
+  for (const webhook of webhooks) {
+    deliver(webhook, event, payload)
+      .catch(error => console.error(`Webhook ${webhook.id} delivery error:`, error.message));
+  }
+  return webhooks.length;
+}
+
+/**
+ * Whether any webhook of an API key listens for an event - lets callers skip building expensive payloads
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {string} apiKeyId - The API key whose scrape the event is about
+ * @returns {Promise<boolean>}
+ */
+export async function hasSubscribers(event, apiKeyId) {
+  return (await subscribers(event, apiKeyId)).length > 0;
+}
+
+/**
+ * Send a single `webhook.test` event to one webhook (no retries, not logged) so receivers
+ * can check their signature verification
+ * @param {string} id - The webhook ID
+ * @param {string} apiKeyId - The API key asking
+ * @returns {Promise<object|null>} - The attempt { at, statusCode, error, durationMs }, or null if there is no such webhook for this key
+ */
+export async function sendTestEvent(id, apiKeyId) {
+  const webhook = await findWebhook(id, apiKeyId);
+  if (!webhook) return null;
+
+  const delivery = { id: crypto.randomUUID(), event: 'webhook.test', createdAt: new Date().toISOString() };
+  const body = JSON.stringify({ ...delivery, data: { webhookId: webhook.id } });
+  return attemptDelivery(webhook, delivery, body);
+}
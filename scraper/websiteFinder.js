@@ -5,10 +5,9 @@ import axios from 'axios';
  * 1. Try pattern matching first (free, fast)
  * 2. Fall back to Google Custom Search API if needed
  * @param {string} companyName - The company name to search for
- * @param {object} _existingPage - Not used, kept for compatibility
  * @returns {Promise<string>} - The website URL if found, empty string otherwise
  */
-export async function findCompanyWebsite(companyName, _existingPage = null) {
+export async function findCompanyWebsite(companyName) {
   if (!companyName || companyName.trim().length < 2) {
     return '';
   }
@@ -1,11 +1,137 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import { scrapeExhibitors } from './scraper/scraper.js';
+import {
+  scrapeExhibitors, scrapeBatch, listSnapshots, getPoolStats,
+  listShows, getShow, getRun, getRunExhibitors, diffRuns
+} from './scraper/scraper.js';
 import { exportToExcel } from './utils/excelExporter.js';
+import { createSseSession, getSseSession, parseLastEventId } from './utils/sseSessions.js';
+import { createJob, getJobStatus, getJobResults, cancelJob, getJobStats } from './utils/jobQueue.js';
+import {
+  validateSchedule, createSchedule, getSchedules, getSchedule,
+  pauseSchedule, resumeSchedule, deleteSchedule, startScheduler
+} from './utils/scheduler.js';
+import {
+  validateWebhook, checkWebhookTarget, createWebhook, getWebhooks, getWebhook, deleteWebhook, getDeliveries, sendTestEvent
+} from './scraper/webhooks.js';
+import {
+  requireApiKey, requireAdmin, chargeScrapes, refundScrapes, createWebsiteLookupBudget, getQuotaStatus,
+  validateApiKeyInput, createApiKey, getApiKeys, updateApiKey, revokeApiKey
+} from './utils/apiKeys.js';
+import {
+  getClientId, checkRequestRate, acquireScrapeSlot, getClientConcurrencyLimit, getRateLimitStats
+} from './utils/rateLimiter.js';
+import { validateScrapeRequest, validateJobRequest, validateBatchRequest } from './utils/scrapeRequestSchema.js';
 
 dotenv.config();
 
+// Rejected extraction candidates returned in the debug section (options.debug)
+const MAX_DEBUG_REJECTED = 500;
+
+/**
+ * Collect candidates the extractors rejected, for the debug section of the response
+ * @returns {{ onRejected: (candidate: object) => void, toJSON: () => object }}
+ */
+function createDebugCollector() {
+  const rejected = [];
+  let total = 0;
+  return {
+    onRejected(candidate) {
+      total++;
+      if (rejected.length < MAX_DEBUG_REJECTED) rejected.push(candidate);
+    },
+    toJSON() {
+      return { rejectedCount: total, rejected };
+    }
+  };
+}
+
+/**
+ * Tell the client how much of its daily quota is left
+ * @param {import('express').Response} res - The response (headers not yet sent)
+ * @param {object} apiKey - The caller's key record
+ */
+function setQuotaHeaders(res, apiKey) {
+  const quota = getQuotaStatus(apiKey);
+  res.setHeader('X-Quota-Scrapes-Remaining', quota.scrapes.remaining);
+  res.setHeader('X-Quota-Website-Lookups-Remaining', quota.websiteLookups.remaining);
+  res.setHeader('X-Quota-Reset', quota.resetsAt);
+}
+
+// 429 with the remaining quota and when it resets
+function rejectOverQuota(res, apiKey, error) {
+  const quota = getQuotaStatus(apiKey);
+  setQuotaHeaders(res, apiKey);
+  res.setHeader('Retry-After', Math.max(1, Math.ceil((Date.parse(quota.resetsAt) - Date.now()) / 1000)));
+  return res.status(429).json({ success: false, error, quota });
+}
+
+/**
+ * Apply the client's per-minute limit; a rejection is answered here with 429 and Retry-After
+ * @param {import('express').Request} req - The request (after requireApiKey)
+ * @param {import('express').Response} res - The response (headers not yet sent)
+ * @returns {boolean} - false if the request was rejected
+ */
+function admitRequest(req, res) {
+  const rate = checkRequestRate(getClientId(req));
+  res.setHeader('X-RateLimit-Limit', rate.limit);
+  res.setHeader('X-RateLimit-Remaining', rate.remaining);
+  if (!rate.allowed) {
+    res.setHeader('Retry-After', rate.retryAfter);
+    res.status(429).json({ success: false, error: `Rate limit exceeded: ${rate.limit} scrape requests per minute`, retryAfter: rate.retryAfter });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Slot acquirer for work that starts later or in parts (batch URLs, background jobs): each call
+ * waits for a slot under the client's concurrency caps for as long as it takes, since the work
+ * is already paid for. Rejects only once the signal aborts.
+ * @param {string} clientId - From getClientId
+ * @returns {(signal?: AbortSignal) => Promise<() => void>} - Resolves to the slot's release function
+ */
+function createSlotAcquirer(clientId) {
+  return async (signal) => {
+    const slot = await acquireScrapeSlot(clientId, { signal, wait: true });
+    if (slot.error) {
+      throw new Error(slot.error);
+    }
+    return slot.release;
+  };
+}
+
+/**
+ * Apply the client's per-minute limit, then wait for a slot under the concurrency caps.
+ * Rejections are answered here with 429 and Retry-After.
+ * @param {import('express').Request} req - The request (after requireApiKey)
+ * @param {import('express').Response} res - The response (headers not yet sent)
+ * @returns {Promise<(() => void)|null>} - Releases the slot when the scrape is over; null if the request was rejected
+ */
+async function admitScrape(req, res) {
+  if (!admitRequest(req, res)) {
+    return null;
+  }
+  const clientId = getClientId(req);
+
+  // A client that disconnects while queued gives up its place
+  const closed = new AbortController();
+  const onClose = () => closed.abort();
+  res.on('close', onClose);
+  const slot = await acquireScrapeSlot(clientId, { signal: closed.signal });
+  res.off('close', onClose);
+
+  if (slot.error) {
+    if (!closed.signal.aborted) {
+      res.setHeader('Retry-After', slot.retryAfter);
+      res.status(429).json({ success: false, error: slot.error, retryAfter: slot.retryAfter });
+    }
+    return null;
+  }
+  return slot.release;
+}
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -43,8 +169,12 @@ app.use(
       console.warn(`CORS blocked origin: ${origin}`);
       return callback(new Error('Not allowed by CORS'));
     },
-    methods: ['GET', 'POST', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Accept', 'Authorization'],
+    methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Accept', 'Authorization', 'Last-Event-ID'],
+    exposedHeaders: [
+      'X-Scrape-Session', 'X-Quota-Scrapes-Remaining', 'X-Quota-Website-Lookups-Remaining', 'X-Quota-Reset',
+      'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'Retry-After'
+    ],
     credentials: true,
   })
 );
@@ -52,11 +182,37 @@ app.use(
 // Explicit preflight handlers for API routes
 app.options('/api/scrape', cors());
 app.options('/api/export', cors());
+app.options('/api/scrape/batch', cors());
+app.options('/api/jobs', cors());
+app.options('/api/jobs/:id', cors());
+app.options('/api/schedules', cors());
+app.options('/api/schedules/:id', cors());
+app.options('/api/webhooks', cors());
+app.options('/api/webhooks/:id', cors());
+app.options('/api/keys', cors());
+app.options('/api/keys/:id', cors());
+app.options('/api/quota', cors());
 app.use(express.json());
 
 // Health check
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', message: 'Exhibitor Scraper API is running' });
+  res.json({
+    status: 'ok',
+    message: 'Exhibitor Scraper API is running',
+    browserPool: getPoolStats(),
+    jobs: getJobStats(),
+    rateLimits: getRateLimitStats()
+  });
+});
+
+// List recorded page snapshots (usable with the replaySnapshot option)
+app.get('/api/snapshots', requireApiKey, async (req, res) => {
+  try {
+    const snapshots = await listSnapshots();
+    res.json({ success: true, data: snapshots, count: snapshots.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
 // Test endpoint
@@ -73,82 +229,112 @@ app.post('/api/test', async (req, res) => {
 });
 
 // Main scraping endpoint with real-time updates via SSE
-app.post('/api/scrape', async (req, res) => {
+app.post('/api/scrape', requireApiKey, async (req, res) => {
   // Check if client wants real-time updates
   const useStreaming = req.headers.accept?.includes('text/event-stream') || req.body.stream === true;
   
+  // A client reconnecting with Last-Event-ID picks up its running scrape instead of starting a new one
   if (useStreaming) {
-    // Set up Server-Sent Events
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
+    const resume = parseLastEventId(req.headers['last-event-id']);
+    const existing = resume && getSseSession(resume.sessionId, req.apiKey.id);
+    if (existing) {
+      existing.attach(res, resume.seq);
+      return;
+    }
+  }
+
+  // The body must match the declared schema: unknown or invalid fields are a 400 listing every
+  // field error, in both modes (before any stream is opened)
+  const { errors, url, options } = validateScrapeRequest(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Invalid scrape request', details: errors });
+  }
+
+  if (useStreaming) {
+    // Rate limits and quota are checked before the stream opens, so a rejected client gets a plain 429.
+    // A queued request only opens its stream once it has a slot.
+    const release = await admitScrape(req, res);
+    if (!release) return;
+    if (!chargeScrapes(req.apiKey)) {
+      release();
+      return rejectOverQuota(res, req.apiKey, 'Daily scrape quota exceeded');
+    }
+    setQuotaHeaders(res, req.apiKey);
+
+    // Set up Server-Sent Events. Events are numbered and buffered so a dropped connection can resume;
+    // the scrape is cancelled if the client stays away longer than the resume grace period.
+    const session = createSseSession({ apiKeyId: req.apiKey.id });
+    session.attach(res);
     
     // Send initial connection message
-    res.write(`data: ${JSON.stringify({ type: 'connected' })}\n\n`);
+    session.send({ type: 'connected', sessionId: session.id });
     
     try {
-      const { url, options = {} } = req.body;
-
-      if (!url) {
-        res.write(`data: ${JSON.stringify({ type: 'error', error: 'URL is required' })}\n\n`);
-        res.end();
-        return;
-      }
-
       console.log(`Starting streaming scrape for: ${url}`);
+      const debug = options.debug === true ? createDebugCollector() : null;
       
-      // Set default options
+      // Validated client options first; defaults and server-side hooks after them can't be overridden.
+      // maxWebsiteSearches has no default - scraper.js searches for all exhibitors without one.
+      // Streaming scrapes only paginate when asked to: handlePagination: true, or a paginationStrategy
+      // without handlePagination: false. SmallWorldLabs is not auto-paginated here.
       const scrapeOptions = {
+        ...options,
         findWebsites: options.findWebsites !== undefined ? options.findWebsites : false,
-        // Don't set maxWebsiteSearches default - let scraper.js handle it (defaults to all exhibitors)
-        ...(options.maxWebsiteSearches !== undefined && { maxWebsiteSearches: options.maxWebsiteSearches }),
-        handlePagination: options.handlePagination === true,
+        handlePagination: options.handlePagination === true ||
+          (options.handlePagination === undefined && Boolean(options.paginationStrategy)),
         onProgress: (data) => {
           // Send progress update to client
-          res.write(`data: ${JSON.stringify({ type: 'progress', ...data })}\n\n`);
+          session.send({ type: 'progress', ...data });
         },
         onExhibitorFound: (exhibitor) => {
           // Send each exhibitor as it's found
-          res.write(`data: ${JSON.stringify({ type: 'exhibitor', exhibitor })}\n\n`);
+          session.send({ type: 'exhibitor', exhibitor });
         },
-        ...options
+        ...(debug && { onRejected: debug.onRejected }),
+        signal: session.signal,
+        websiteLookupBudget: createWebsiteLookupBudget(req.apiKey),
+        apiKeyId: req.apiKey.id
       };
       
       // Send start message
-      res.write(`data: ${JSON.stringify({ type: 'start', url })}\n\n`);
+      session.send({ type: 'start', url });
       
       const results = await scrapeExhibitors(url, scrapeOptions);
       
       // Send completion message
-      res.write(`data: ${JSON.stringify({ type: 'complete', count: results.length })}\n\n`);
-      res.end();
+      session.send({ type: 'complete', count: results.length, quota: getQuotaStatus(req.apiKey), ...(debug && { debug }) });
+      session.end();
     } catch (error) {
-      console.error('Scraping error:', error);
-      res.write(`data: ${JSON.stringify({ type: 'error', error: error.message || 'Unknown error occurred' })}\n\n`);
-      res.end();
+      if (!session.signal.aborted) {
+        console.error('Scraping error:', error);
+        session.send({ type: 'error', error: error.message || 'Unknown error occurred' });
+      }
+      session.end();
+    } finally {
+      release();
     }
   } else {
     // Original non-streaming endpoint
+    let release = null;
     try {
-      const { url, options = {} } = req.body;
-
-      if (!url) {
-        return res.status(400).json({ error: 'URL is required' });
+      release = await admitScrape(req, res);
+      if (!release) return;
+      if (!chargeScrapes(req.apiKey)) {
+        return rejectOverQuota(res, req.apiKey, 'Daily scrape quota exceeded');
       }
 
       console.log(`Starting scrape for: ${url}`);
       console.log(`Options:`, JSON.stringify(options));
+      const debug = options.debug === true ? createDebugCollector() : null;
       
-      // Set default options
+      // Validated client options first, then defaults and server-side hooks.
       // Note: handlePagination is preserved as-is (undefined by default) so scraper.js can auto-enable for SmallWorldLabs
       const scrapeOptions = {
+        ...options,
         findWebsites: options.findWebsites !== undefined ? options.findWebsites : false,
-        // Don't set maxWebsiteSearches default - let scraper.js handle it (defaults to all exhibitors)
-        ...(options.maxWebsiteSearches !== undefined && { maxWebsiteSearches: options.maxWebsiteSearches }),
-        // Only set handlePagination if explicitly provided, otherwise let scraper.js decide based on page type
-        ...(options.handlePagination !== undefined && { handlePagination: options.handlePagination }),
-        ...options
+        ...(debug && { onRejected: debug.onRejected }),
+        websiteLookupBudget: createWebsiteLookupBudget(req.apiKey),
+        apiKeyId: req.apiKey.id
       };
       
       console.log(`Scrape options:`, JSON.stringify(scrapeOptions));
@@ -161,10 +347,13 @@ app.post('/api/scrape', async (req, res) => {
         throw new Error('Scraper returned invalid data format');
       }
       
+      setQuotaHeaders(res, req.apiKey);
       res.json({
         success: true,
         data: results,
-        count: results.length
+        count: results.length,
+        quota: getQuotaStatus(req.apiKey),
+        ...(debug && { debug })
       });
     } catch (error) {
       console.error('Scraping error:', error);
@@ -175,20 +364,488 @@ app.post('/api/scrape', async (req, res) => {
         error: error.message || 'Unknown error occurred',
         details: process.env.NODE_ENV === 'development' ? error.stack : undefined
       });
+    } finally {
+      release?.();
+    }
+  }
+});
+
+// Scrape many show URLs in one request - streams per-URL progress over SSE, or returns everything as JSON
+app.post('/api/scrape/batch', requireApiKey, async (req, res) => {
+  const useStreaming = req.headers.accept?.includes('text/event-stream') || req.body.stream === true;
+  // The shared options and every entry's options are checked against the scrape options schema
+  const { errors, entries, options, concurrency } = validateBatchRequest(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Invalid batch request', details: errors });
+  }
+  if (!admitRequest(req, res)) return;
+
+  // Every show URL is one scrape; the batch runs only if the quota covers all of them
+  if (!chargeScrapes(req.apiKey, entries.length)) {
+    return rejectOverQuota(res, req.apiKey, `Daily scrape quota does not cover ${entries.length} URLs`);
+  }
+  setQuotaHeaders(res, req.apiKey);
+
+  // All URLs share one website lookup budget; scrapeBatch applies it after the per-URL options
+  const websiteLookupBudget = createWebsiteLookupBudget(req.apiKey);
+  // Each URL holds one of the client's scrape slots while it runs, so the batch can't run
+  // more URLs at once than the client's concurrency cap
+  const batchOptions = {
+    findWebsites: options.findWebsites !== undefined ? options.findWebsites : false,
+    ...options,
+    ...(concurrency !== undefined && { concurrency }),
+    maxConcurrency: getClientConcurrencyLimit(),
+    websiteLookupBudget,
+    apiKeyId: req.apiKey.id
+  };
+  // URLs that never got a slot (the client went away first) are refunded once the batch is over
+  const acquireUrlSlot = createSlotAcquirer(getClientId(req));
+  let startedUrls = 0;
+  const acquireSlot = async (signal) => {
+    const release = await acquireUrlSlot(signal);
+    startedUrls++;
+    return release;
+  };
+  const refundUnstarted = () => refundScrapes(req.apiKey, entries.length - startedUrls);
+
+  if (useStreaming) {
+    const session = createSseSession({ apiKeyId: req.apiKey.id });
+    session.attach(res);
+    session.send({ type: 'connected', sessionId: session.id, total: entries.length });
+
+    try {
+      const { exhibitors, summary } = await scrapeBatch(entries, {
+        ...batchOptions,
+        signal: session.signal,
+        acquireSlot: () => acquireSlot(session.signal),
+        onUrlEvent: (event) => session.send(event)
+      });
+      session.send({ type: 'complete', count: exhibitors.length, summary, quota: getQuotaStatus(req.apiKey) });
+    } catch (error) {
+      if (!session.signal.aborted) {
+        console.error('Batch scraping error:', error);
+        session.send({ type: 'error', error: error.message || 'Unknown error occurred' });
+      }
+    }
+    refundUnstarted();
+    session.end();
+    return;
+  }
+
+  // URLs still waiting for a slot give up when the client disconnects
+  const closed = new AbortController();
+  const onClose = () => closed.abort();
+  res.on('close', onClose);
+  try {
+    const { exhibitors, summary } = await scrapeBatch(entries, { ...batchOptions, acquireSlot: () => acquireSlot(closed.signal) });
+    res.json({
+      success: true,
+      data: exhibitors,
+      count: exhibitors.length,
+      summary,
+      quota: getQuotaStatus(req.apiKey)
+    });
+  } catch (error) {
+    console.error('Batch scraping error:', error);
+    res.status(500).json({ success: false, error: error.message || 'Unknown error occurred' });
+  } finally {
+    res.off('close', onClose);
+    refundUnstarted();
+  }
+});
+
+// Reattach to a streaming scrape (for EventSource clients, which reconnect with GET).
+// The position comes from the Last-Event-ID header or the lastEventId query parameter. Only the
+// API key that started the stream can reattach, so the client must be able to send an Authorization header.
+app.get('/api/scrape/stream/:sessionId', requireApiKey, (req, res) => {
+  const session = getSseSession(req.params.sessionId, req.apiKey.id);
+  if (!session) {
+    return res.status(404).json({ success: false, error: 'Stream session not found or expired' });
+  }
+  const resume = parseLastEventId(req.headers['last-event-id'] || req.query.lastEventId);
+  session.attach(res, resume && resume.sessionId === session.id ? resume.seq : 0);
+});
+
+// Shows this API key has scraped, most recent first. Runs and their exhibitors are only visible
+// to the key that ran them.
+app.get('/api/shows', requireApiKey, async (req, res) => {
+  try {
+    const shows = await listShows(req.apiKey.id);
+    res.json({ success: true, data: shows, count: shows.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// One show with its scrape runs
+app.get('/api/shows/:id', requireApiKey, async (req, res) => {
+  try {
+    const show = await getShow(req.params.id, req.apiKey.id);
+    if (!show) {
+      return res.status(404).json({ success: false, error: 'Show not found' });
+    }
+    res.json({ success: true, data: show });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// One scrape run (options, timing, outcome)
+app.get('/api/runs/:id', requireApiKey, async (req, res) => {
+  try {
+    const run = await getRun(req.params.id, req.apiKey.id);
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Run not found' });
+    }
+    res.json({ success: true, data: run });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Exhibitors saved by a completed run
+app.get('/api/runs/:id/exhibitors', requireApiKey, async (req, res) => {
+  try {
+    const run = await getRun(req.params.id, req.apiKey.id);
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Run not found' });
+    }
+    const exhibitors = await getRunExhibitors(run.id, req.apiKey.id);
+    if (!exhibitors) {
+      return res.status(409).json({ success: false, error: `Run is ${run.status} and has no saved exhibitors`, status: run.status });
+    }
+    res.json({ success: true, data: exhibitors, count: exhibitors.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Compare two runs of the same show: who is new, who dropped out and what changed.
+// ?format=xlsx returns the newer run's exhibitors plus a "Changes" sheet.
+app.get('/api/diff', requireApiKey, async (req, res) => {
+  const { from, to, format } = req.query;
+  if (!from || !to) {
+    return res.status(400).json({ success: false, error: 'from and to run IDs are required' });
+  }
+
+  try {
+    const diff = await diffRuns(from, to, req.apiKey.id);
+
+    if (format === 'xlsx') {
+      const exhibitors = await getRunExhibitors(to, req.apiKey.id);
+      const filename = `exhibitor-changes-${diff.from.startedAt.slice(0, 10)}-to-${diff.to.startedAt.slice(0, 10)}`;
+      const buffer = await exportToExcel(exhibitors, filename, { diff });
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+      return res.send(buffer);
+    }
+
+    res.json({ success: true, data: diff });
+  } catch (error) {
+    const status = error.message.startsWith('Run not found') ? 404 : 400;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+// Start a background scrape job - returns immediately with the job ID to poll. Only the same API key can read or cancel it.
+app.post('/api/jobs', requireApiKey, (req, res) => {
+  const { errors, url, options } = validateJobRequest(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Invalid job request', details: errors });
+  }
+
+  if (!admitRequest(req, res)) return;
+  if (!chargeScrapes(req.apiKey)) {
+    return rejectOverQuota(res, req.apiKey, 'Daily scrape quota exceeded');
+  }
+  setQuotaHeaders(res, req.apiKey);
+
+  // The job takes one of the client's scrape slots once it starts running; cancelling it
+  // before then refunds its scrape
+  const apiKey = req.apiKey;
+  const job = createJob(url, {
+    findWebsites: options.findWebsites !== undefined ? options.findWebsites : false,
+    ...options,
+    websiteLookupBudget: createWebsiteLookupBudget(apiKey),
+    apiKeyId: apiKey.id
+  }, {
+    apiKeyId: apiKey.id,
+    acquireSlot: createSlotAcquirer(getClientId(req)),
+    onCancelledBeforeStart: () => refundScrapes(apiKey)
+  });
+
+  res.status(202).json({ success: true, data: job });
+});
+
+// Job status, progress and the exhibitors found so far
+app.get('/api/jobs/:id', requireApiKey, (req, res) => {
+  const job = getJobStatus(req.params.id, req.apiKey.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  res.json({ success: true, data: job });
+});
+
+// Final results of a completed job
+app.get('/api/jobs/:id/results', requireApiKey, (req, res) => {
+  const job = getJobResults(req.params.id, req.apiKey.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  if (job.status !== 'completed') {
+    return res.status(409).json({ success: false, error: `Job is ${job.status}`, status: job.status });
+  }
+  res.json({ success: true, data: job.results, count: job.results.length });
+});
+
+// Cancel a queued or running job
+app.delete('/api/jobs/:id', requireApiKey, (req, res) => {
+  try {
+    const job = cancelJob(req.params.id, req.apiKey.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    res.json({ success: true, data: job });
+  } catch (error) {
+    res.status(409).json({ success: false, error: error.message });
+  }
+});
+
+// Recurring re-scrapes of tracked shows, with their last outcome and next run. Each API key sees only its own schedules.
+app.get('/api/schedules', requireApiKey, async (req, res) => {
+  try {
+    const schedules = await getSchedules(req.apiKey.id);
+    res.json({ success: true, data: schedules, count: schedules.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/schedules/:id', requireApiKey, async (req, res) => {
+  try {
+    const schedule = await getSchedule(req.params.id, req.apiKey.id);
+    if (!schedule) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+    res.json({ success: true, data: schedule });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Re-scrape a show on a cron expression or every N minutes, optionally until an end date
+app.post('/api/schedules', requireApiKey, async (req, res) => {
+  const errors = validateSchedule(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Invalid schedule', details: errors });
+  }
+
+  try {
+    const { url, cron, intervalMinutes, endDate, options } = req.body;
+    const schedule = await createSchedule({ url, cron, intervalMinutes, endDate, options }, req.apiKey.id);
+    res.status(201).json({ success: true, data: schedule });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/schedules/:id/pause', requireApiKey, async (req, res) => {
+  try {
+    const schedule = await pauseSchedule(req.params.id, req.apiKey.id);
+    if (!schedule) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+    res.json({ success: true, data: schedule });
+  } catch (error) {
+    res.status(409).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/schedules/:id/resume', requireApiKey, async (req, res) => {
+  try {
+    const schedule = await resumeSchedule(req.params.id, req.apiKey.id);
+    if (!schedule) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+    res.json({ success: true, data: schedule });
+  } catch (error) {
+    res.status(409).json({ success: false, error: error.message });
+  }
+});
+
+// Stop and remove a schedule; runs it already stored are kept
+app.delete('/api/schedules/:id', requireApiKey, async (req, res) => {
+  try {
+    const deleted = await deleteSchedule(req.params.id, req.apiKey.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Webhooks: signed POSTs on scrape.completed, scrape.failed and show.exhibitors_changed.
+// The signing secret is only returned by the registration call. Each API key sees only its own webhooks.
+app.post('/api/webhooks', requireApiKey, async (req, res) => {
+  const errors = validateWebhook(req.body);
+  if (errors.length === 0) {
+    const targetError = await checkWebhookTarget(req.body.url);
+    if (targetError) errors.push(targetError);
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Invalid webhook', details: errors });
+  }
+
+  try {
+    const { url, events, secret } = req.body;
+    const webhook = await createWebhook({ url, events, secret }, req.apiKey.id);
+    res.status(201).json({ success: true, data: webhook });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/webhooks', requireApiKey, async (req, res) => {
+  try {
+    const webhooks = await getWebhooks(req.apiKey.id);
+    res.json({ success: true, data: webhooks, count: webhooks.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/webhooks/:id', requireApiKey, async (req, res) => {
+  try {
+    const webhook = await getWebhook(req.params.id, req.apiKey.id);
+    if (!webhook) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+    res.json({ success: true, data: webhook });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delivery log: every attempt with its status code or error, newest delivery first
+app.get('/api/webhooks/:id/deliveries', requireApiKey, async (req, res) => {
+  try {
+    const webhook = await getWebhook(req.params.id, req.apiKey.id);
+    if (!webhook) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+    const deliveries = await getDeliveries(webhook.id);
+    res.json({ success: true, data: deliveries, count: deliveries.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Send a signed webhook.test event once and report how the receiver answered
+app.post('/api/webhooks/:id/test', requireApiKey, async (req, res) => {
+  try {
+    const attempt = await sendTestEvent(req.params.id, req.apiKey.id);
+    if (!attempt) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+    res.json({ success: !attempt.error, data: attempt });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/webhooks/:id', requireApiKey, async (req, res) => {
+  try {
+    const deleted = await deleteWebhook(req.params.id, req.apiKey.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// The caller's quota for today
+app.get('/api/quota', requireApiKey, (req, res) => {
+  setQuotaHeaders(res, req.apiKey);
+  res.json({ success: true, data: getQuotaStatus(req.apiKey) });
+});
+
+// API key management (ADMIN_API_KEY). The key itself is only returned when it is created.
+// Keys listed in API_KEYS show up here too but are managed in the environment (see utils/apiKeys.js).
+app.post('/api/keys', requireAdmin, async (req, res) => {
+  const errors = validateApiKeyInput(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Invalid API key', details: errors });
+  }
+
+  try {
+    const { name, scrapesPerDay, websiteLookupsPerDay } = req.body;
+    const apiKey = await createApiKey({ name, scrapesPerDay, websiteLookupsPerDay });
+    res.status(201).json({ success: true, data: apiKey });
+  } catch (error) {
+    // Refused when the store doesn't persist (serverless without STORE_DIR)
+    const status = error.message.startsWith('Keys created here') ? 503 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/keys', requireAdmin, async (req, res) => {
+  try {
+    const apiKeys = await getApiKeys();
+    res.json({ success: true, data: apiKeys, count: apiKeys.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Rename a key or change its quotas
+app.patch('/api/keys/:id', requireAdmin, async (req, res) => {
+  const errors = validateApiKeyInput(req.body, true);
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Invalid API key', details: errors });
+  }
+
+  try {
+    const { name, scrapesPerDay, websiteLookupsPerDay } = req.body;
+    const apiKey = await updateApiKey(req.params.id, { name, scrapesPerDay, websiteLookupsPerDay });
+    if (!apiKey) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+    res.json({ success: true, data: apiKey });
+  } catch (error) {
+    const status = error.message.startsWith('Keys from API_KEYS') ? 409 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/keys/:id', requireAdmin, async (req, res) => {
+  try {
+    const revoked = await revokeApiKey(req.params.id);
+    if (!revoked) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
     }
+    res.json({ success: true });
+  } catch (error) {
+    const status = error.message.startsWith('Keys from API_KEYS') ? 409 : 500;
+    res.status(status).json({ success: false, error: error.message });
   }
 });
 
 // Export to Excel endpoint
-app.post('/api/export', async (req, res) => {
+app.post('/api/export', requireApiKey, async (req, res) => {
   try {
-    const { data, filename = 'exhibitors' } = req.body;
+    const { data, filename = 'exhibitors', diff } = req.body;
 
     if (!data || !Array.isArray(data)) {
       return res.status(400).json({ error: 'Data array is required' });
     }
 
-    const buffer = await exportToExcel(data, filename);
+    // A diff from /api/diff can be included as a "Changes" sheet
+    const buffer = await exportToExcel(data, filename, { diff });
     
     res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
     res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
@@ -207,6 +864,9 @@ if (process.env.VERCEL !== '1') {
   app.listen(PORT, () => {
     console.log(`🚀 Server running on http://localhost:${PORT}`);
   });
+
+  // Timers need a long-running process, so schedules only run outside Vercel
+  startScheduler().catch(error => console.error('Scheduler failed to start:', error.message));
 }
 
 // Export the app for Vercel serverless functions
@@ -0,0 +1,328 @@
+import crypto from 'crypto';
+import { listApiKeys, saveApiKey, deleteApiKey, STORE_IS_PERSISTENT } from '../scraper/store.js';
+import { envNumber } from '../scraper/helpers.js';
+
+// API keys come from two places:
+// - POST /api/keys (with ADMIN_API_KEY) creates a key and stores its hash in the store
+//   (api-keys.json). This needs a persistent STORE_DIR: the default store on serverless is the
+//   temp directory, so keys created there would vanish with the instance.
+// - API_KEYS lists keys set in the environment, which every instance sees. Each entry is the
+//   sha256 hex digest of a key, optionally prefixed with a name: API_KEYS="ci:<hash>,<hash>".
+//   Keys must start with "exs_". To create the first key without a running server:
+//     KEY="exs_$(openssl rand -base64 24 | tr '+/' '-_' | tr -d '=')"
+//     echo "$KEY"; printf %s "$KEY" | sha256sum
+//   Environment keys get the default quotas; their usage is counted per instance and can't be
+//   changed or revoked through the API (remove them from API_KEYS instead).
+
+// Quotas given to new keys unless set per key. Usage resets at midnight UTC.
+const DEFAULT_QUOTAS = {
+  scrapesPerDay: envNumber('DEFAULT_DAILY_SCRAPES', 50),
+  websiteLookupsPerDay: envNumber('DEFAULT_DAILY_WEBSITE_LOOKUPS', 500)
+};
+
+const KEY_PREFIX = 'exs_';
+
+const ENV_KEYS = parseEnvKeys(process.env.API_KEYS);
+
+if (!STORE_IS_PERSISTENT && ENV_KEYS.length === 0) {
+  console.warn('API keys: the store is temporary here and API_KEYS is not set - keys created with POST /api/keys only last as long as this instance');
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// API_KEYS entries -> key records kept in memory; invalid entries are logged and skipped
+function parseEnvKeys(value) {
+  const keys = [];
+  for (const entry of (value || '').split(',').map(e => e.trim()).filter(Boolean)) {
+    const separator = entry.lastIndexOf(':');
+    const name = separator === -1 ? null : entry.slice(0, separator).trim();
+    const keyHash = entry.slice(separator + 1).trim().toLowerCase();
+    if (!/^[0-9a-f]{64}$/.test(keyHash)) {
+      console.error(`API_KEYS: skipping "${entry.slice(0, 20)}…" - expected [name:]<sha256 hex digest of the key>`);
+      continue;
+    }
+    const id = `env-${keyHash.slice(0, 12)}`;
+    keys.push({
+      id,
+      name: name || id,
+      keyHash,
+      keyPrefix: null,
+      source: 'env',
+      quotas: { ...DEFAULT_QUOTAS },
+      usage: { date: today(), scrapes: 0, websiteLookups: 0 },
+      totals: { scrapes: 0, websiteLookups: 0 },
+      createdAt: null,
+      lastUsedAt: null
+    });
+  }
+  return keys;
+}
+
+function isEnvKey(id) {
+  return ENV_KEYS.some(k => k.id === id);
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Counters of a previous day are reset on first use
+function currentUsage(apiKey) {
+  if (apiKey.usage.date !== today()) {
+    apiKey.usage = { date: today(), scrapes: 0, websiteLookups: 0 };
+  }
+  return apiKey.usage;
+}
+
+// Usage of environment keys stays in memory
+function persist(apiKey) {
+  if (apiKey.source === 'env') return;
+  saveApiKey(apiKey).catch(error => console.error(`Could not save usage of API key ${apiKey.id}:`, error.message));
+}
+
+/**
+ * Remaining quota of a key for today
+ * @param {object} apiKey - The key record
+ * @returns {{ date: string, resetsAt: string, scrapes: object, websiteLookups: object }}
+ *   scrapes and websiteLookups are { limit, used, remaining }
+ */
+export function getQuotaStatus(apiKey) {
+  const usage = currentUsage(apiKey);
+  const resetsAt = new Date(`${usage.date}T00:00:00.000Z`);
+  resetsAt.setUTCDate(resetsAt.getUTCDate() + 1);
+
+  const status = (limit, used) => ({ limit, used, remaining: Math.max(0, limit - used) });
+  return {
+    date: usage.date,
+    resetsAt: resetsAt.toISOString(),
+    scrapes: status(apiKey.quotas.scrapesPerDay, usage.scrapes),
+    websiteLookups: status(apiKey.quotas.websiteLookupsPerDay, usage.websiteLookups)
+  };
+}
+
+// Key records as shown to admins: no hash, and today's usage as quota status
+function publicApiKey(apiKey) {
+  const quota = getQuotaStatus(apiKey);
+  const { keyHash, usage, ...rest } = apiKey;
+  return { ...rest, quota };
+}
+
+/**
+ * Check per-key quota settings
+ * @param {object} input - { name, scrapesPerDay, websiteLookupsPerDay }
+ * @param {boolean} [partial] - Fields are optional (updates)
+ * @returns {string[]} - List of problems, empty if valid
+ */
+export function validateApiKeyInput(input, partial = false) {
+  const errors = [];
+  if (!input || typeof input !== 'object') {
+    return ['Request body must be an object'];
+  }
+  if ((!partial || input.name !== undefined) && (typeof input.name !== 'string' || !input.name.trim())) {
+    errors.push('name is required and must be a non-empty string');
+  }
+  for (const field of ['scrapesPerDay', 'websiteLookupsPerDay']) {
+    if (input[field] !== undefined && (!Number.isInteger(input[field]) || input[field] < 0)) {
+      errors.push(`${field} must be a non-negative integer`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Create an API key. Only its hash is stored, so the key is returned this once.
+ * @param {object} input - { name, scrapesPerDay, websiteLookupsPerDay } (quotas default from the environment)
+ * @returns {Promise<object>} - The key record plus `key`
+ */
+export async function createApiKey(input) {
+  const errors = validateApiKeyInput(input);
+  if (errors.length > 0) {
+    throw new Error(`Invalid API key: ${errors.join('; ')}`);
+  }
+  if (!STORE_IS_PERSISTENT) {
+    throw new Error('Keys created here would be lost with this instance: set STORE_DIR to persistent storage, or list key hashes in API_KEYS');
+  }
+
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+  const apiKey = {
+    id: crypto.randomUUID(),
+    name: input.name.trim(),
+    keyHash: hashKey(key),
+    // Enough of the key to tell keys apart in listings and logs
+    keyPrefix: key.slice(0, KEY_PREFIX.length + 6),
+    quotas: {
+      scrapesPerDay: input.scrapesPerDay ?? DEFAULT_QUOTAS.scrapesPerDay,
+      websiteLookupsPerDay: input.websiteLookupsPerDay ?? DEFAULT_QUOTAS.websiteLookupsPerDay
+    },
+    usage: { date: today(), scrapes: 0, websiteLookups: 0 },
+    totals: { scrapes: 0, websiteLookups: 0 },
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null
+  };
+  await saveApiKey(apiKey);
+  console.log(`API key ${apiKey.id} (${apiKey.keyPrefix}…) created for ${apiKey.name}`);
+  return { ...publicApiKey(apiKey), key };
+}
+
+/**
+ * @returns {Promise<object[]>} - All keys with today's usage (no hashes)
+ */
+export async function getApiKeys() {
+  return [...ENV_KEYS, ...(await listApiKeys())].map(publicApiKey);
+}
+
+/**
+ * Change a key's name or quotas
+ * @param {string} id - The key ID
+ * @param {object} changes - { name, scrapesPerDay, websiteLookupsPerDay }
+ * @returns {Promise<object|null>} - null if there is no such key
+ */
+export async function updateApiKey(id, changes) {
+  const errors = validateApiKeyInput(changes, true);
+  if (errors.length > 0) {
+    throw new Error(`Invalid API key: ${errors.join('; ')}`);
+  }
+  if (isEnvKey(id)) {
+    throw new Error('Keys from API_KEYS can only be changed in the environment');
+  }
+
+  const apiKey = (await listApiKeys()).find(k => k.id === id);
+  if (!apiKey) return null;
+  if (changes.name !== undefined) apiKey.name = changes.name.trim();
+  if (changes.scrapesPerDay !== undefined) apiKey.quotas.scrapesPerDay = changes.scrapesPerDay;
+  if (changes.websiteLookupsPerDay !== undefined) apiKey.quotas.websiteLookupsPerDay = changes.websiteLookupsPerDay;
+  await saveApiKey(apiKey);
+  return publicApiKey(apiKey);
+}
+
+/**
+ * Revoke (delete) a key
+ * @param {string} id - The key ID
+ * @returns {Promise<boolean>} - false if there was no such key
+ */
+export async function revokeApiKey(id) {
+  if (isEnvKey(id)) {
+    throw new Error('Keys from API_KEYS can only be revoked by removing them from the environment');
+  }
+  return deleteApiKey(id);
+}
+
+/**
+ * Find a key record by its ID, e.g. for work started on a key's behalf without a request
+ * @param {string} id - The key ID
+ * @returns {Promise<object|null>} - null if the key doesn't exist (or was revoked)
+ */
+export async function findApiKey(id) {
+  return ENV_KEYS.find(k => k.id === id) || (await listApiKeys()).find(k => k.id === id) || null;
+}
+
+/**
+ * Find the key record for a key sent by a client
+ * @param {string} key - The plain API key
+ * @returns {Promise<object|null>}
+ */
+export async function authenticate(key) {
+  if (!key || !key.startsWith(KEY_PREFIX)) return null;
+  const hash = hashKey(key);
+  return ENV_KEYS.find(k => k.keyHash === hash) || (await listApiKeys()).find(k => k.keyHash === hash) || null;
+}
+
+/**
+ * Use up `count` scrapes of today's quota - all or nothing
+ * @param {object} apiKey - The key record
+ * @param {number} [count] - Scrapes to charge (one per show URL)
+ * @returns {boolean} - false if the quota doesn't cover them (nothing is charged)
+ */
+export function chargeScrapes(apiKey, count = 1) {
+  const usage = currentUsage(apiKey);
+  if (usage.scrapes + count > apiKey.quotas.scrapesPerDay) {
+    return false;
+  }
+  usage.scrapes += count;
+  apiKey.totals.scrapes += count;
+  apiKey.lastUsedAt = new Date().toISOString();
+  persist(apiKey);
+  return true;
+}
+
+/**
+ * Give back scrapes charged for work that never started (cancelled jobs, batch URLs the client
+ * gave up on). Charges of a previous day are not refunded into today's quota.
+ * @param {object} apiKey - The key record
+ * @param {number} [count] - Scrapes to refund
+ */
+export function refundScrapes(apiKey, count = 1) {
+  if (count <= 0 || apiKey.usage.date !== today()) return;
+  apiKey.usage.scrapes = Math.max(0, apiKey.usage.scrapes - count);
+  apiKey.totals.scrapes = Math.max(0, apiKey.totals.scrapes - count);
+  persist(apiKey);
+}
+
+/**
+ * Budget for Google website lookups, passed to scrapeExhibitors as options.websiteLookupBudget.
+ * Each take() uses up one lookup of the key's daily quota.
+ * @param {object} apiKey - The key record
+ * @returns {{ take: () => boolean }}
+ */
+export function createWebsiteLookupBudget(apiKey) {
+  return {
+    take() {
+      const usage = currentUsage(apiKey);
+      if (usage.websiteLookups >= apiKey.quotas.websiteLookupsPerDay) {
+        return false;
+      }
+      usage.websiteLookups++;
+      apiKey.totals.websiteLookups++;
+      persist(apiKey);
+      return true;
+    }
+  };
+}
+
+function readBearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Express middleware: reject requests without a valid API key (401) and set req.apiKey.
+ * Quotas are charged by the route, once it knows how much work a request is.
+ */
+export async function requireApiKey(req, res, next) {
+  try {
+    const token = readBearerToken(req);
+    if (!token) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ success: false, error: 'API key required: send it as "Authorization: Bearer <key>"' });
+    }
+    const apiKey = await authenticate(token);
+    if (!apiKey) {
+      res.setHeader('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({ success: false, error: 'Invalid or revoked API key' });
+    }
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Express middleware for key management: the ADMIN_API_KEY environment variable as a bearer token.
+ * Without ADMIN_API_KEY key management is switched off.
+ */
+export function requireAdmin(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return res.status(503).json({ success: false, error: 'Key management is disabled (ADMIN_API_KEY is not set)' });
+  }
+  const token = readBearerToken(req) || '';
+  // Compare hashes so the comparison takes the same time whatever the token length
+  if (!crypto.timingSafeEqual(Buffer.from(hashKey(token), 'hex'), Buffer.from(hashKey(adminKey), 'hex'))) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ success: false, error: 'Admin key required' });
+  }
+  next();
+}
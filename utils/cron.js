@@ -0,0 +1,87 @@
+// Standard 5-field cron: minute hour day-of-month month day-of-week
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+// Search horizon for the next matching minute
+const MAX_LOOKAHEAD_MINUTES = 366 * 24 * 60;
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid cron ${name}: "${part}"`);
+    }
+    const step = match[4] ? Number(match[4]) : 1;
+    let from = match[1] === '*' ? min : Number(match[2]);
+    let to = match[1] === '*' ? max : (match[3] !== undefined ? Number(match[3]) : (match[4] ? max : from));
+
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`Invalid cron ${name}: "${part}" (allowed ${min}-${max})`);
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression (numbers, *, ranges, lists and steps)
+ * @param {string} expression - e.g. "0 6 * * 1" (Mondays at 06:00)
+ * @returns {object} - Parsed schedule for nextCronRun
+ */
+export function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (daysOfWeek.has(7)) daysOfWeek.add(0);
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Like cron: when both day fields are restricted, either one matching is enough
+    anyDay: parts[2] !== '*' && parts[4] !== '*'
+  };
+}
+
+/**
+ * Next time (server local time) a cron schedule fires, strictly after `after`
+ * @param {object|string} cron - Parsed schedule or expression
+ * @param {Date} [after] - Start of the search (default now)
+ * @returns {Date|null} - null if nothing matches within a year
+ */
+export function nextCronRun(cron, after = new Date()) {
+  const schedule = typeof cron === 'string' ? parseCron(cron) : cron;
+  const time = new Date(after.getTime());
+  time.setSeconds(0, 0);
+
+  for (let i = 0; i < MAX_LOOKAHEAD_MINUTES; i++) {
+    time.setMinutes(time.getMinutes() + 1);
+
+    const domMatch = schedule.daysOfMonth.has(time.getDate());
+    const dowMatch = schedule.daysOfWeek.has(time.getDay());
+    const dayMatch = schedule.anyDay ? domMatch || dowMatch : domMatch && dowMatch;
+
+    if (dayMatch &&
+        schedule.months.has(time.getMonth() + 1) &&
+        schedule.hours.has(time.getHours()) &&
+        schedule.minutes.has(time.getMinutes())) {
+      return time;
+    }
+  }
+  return null;
+}
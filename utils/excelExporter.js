@@ -1,6 +1,26 @@
 import XLSX from 'xlsx';
 
-export async function exportToExcel(data, filename = 'exhibitors') {
+/**
+ * Rows for the "Changes" sheet: one per added/removed exhibitor and one per changed field
+ * @param {object} diff - Result of diffRuns / diffExhibitors
+ * @returns {object[]}
+ */
+function diffRows(diff) {
+  const rows = [];
+  (diff.added || []).forEach(item => rows.push({
+    'Change': 'Added', 'Company Name': item.companyName || '', 'Booth': item.booth || '', 'Field': '', 'Before': '', 'After': ''
+  }));
+  (diff.removed || []).forEach(item => rows.push({
+    'Change': 'Removed', 'Company Name': item.companyName || '', 'Booth': item.booth || '', 'Field': '', 'Before': '', 'After': ''
+  }));
+  (diff.changed || []).forEach(item => (item.changes || []).forEach(change => rows.push({
+    'Change': 'Changed', 'Company Name': item.companyName || '', 'Booth': item.after?.booth || '',
+    'Field': change.field, 'Before': change.before, 'After': change.after
+  })));
+  return rows;
+}
+
+export async function exportToExcel(data, filename = 'exhibitors', { diff = null } = {}) {
   // Prepare data for Excel
   const excelData = data.map(item => ({
     'Company Name': item.companyName || '',
@@ -22,6 +42,22 @@ export async function exportToExcel(data, filename = 'exhibitors') {
     { wch: 15 }  // Source
   ];
 
+  // Optional second sheet with the changes between two runs
+  if (diff) {
+    const changesSheet = XLSX.utils.json_to_sheet(diffRows(diff), {
+      header: ['Change', 'Company Name', 'Booth', 'Field', 'Before', 'After']
+    });
+    changesSheet['!cols'] = [
+      { wch: 10 }, // Change
+      { wch: 40 }, // Company Name
+      { wch: 15 }, // Booth
+      { wch: 12 }, // Field
+      { wch: 40 }, // Before
+      { wch: 40 }  // After
+    ];
+    XLSX.utils.book_append_sheet(workbook, changesSheet, 'Changes');
+  }
+
   // Convert workbook to a Node.js Buffer that can be sent as binary
   // Use 'array' first, then wrap in Buffer to avoid environment quirks
   const arrayBuffer = XLSX.write(workbook, {
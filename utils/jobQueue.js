@@ -0,0 +1,189 @@
+import crypto from 'crypto';
+import { scrapeExhibitors } from '../scraper/scraper.js';
+import { envNumber } from '../scraper/helpers.js';
+
+// Jobs live in this process only - a restart (or a new serverless instance) starts empty
+const config = {
+  concurrency: envNumber('JOB_CONCURRENCY', 1),
+  // Finished jobs are forgotten after this long
+  retention: envNumber('JOB_RETENTION_MS', 60 * 60 * 1000)
+};
+
+const jobs = new Map();
+const queue = [];
+let running = 0;
+
+const FINISHED = ['completed', 'failed', 'cancelled'];
+
+function finish(job, status, fields = {}) {
+  Object.assign(job, fields, { status, finishedAt: new Date().toISOString() });
+  job.controller = null;
+  console.log(`Job ${job.id} ${status}${job.error ? `: ${job.error}` : ''}`);
+
+  const timer = setTimeout(() => jobs.delete(job.id), config.retention);
+  timer.unref?.();
+}
+
+async function runJob(job) {
+  running++;
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  console.log(`Job ${job.id} started: ${job.url}`);
+
+  let release = null;
+  try {
+    release = job.acquireSlot ? await job.acquireSlot(job.controller.signal) : null;
+    if (job.status !== 'running') return;
+    job.scrapeStarted = true;
+    const results = await scrapeExhibitors(job.url, {
+      ...job.options,
+      signal: job.controller.signal,
+      onProgress: (data) => {
+        job.progress = data;
+      },
+      onExhibitorFound: (exhibitor) => {
+        job.exhibitors.push(exhibitor);
+      }
+    });
+
+    if (job.status === 'running') {
+      finish(job, 'completed', { results });
+    }
+  } catch (error) {
+    if (job.status === 'running') {
+      finish(job, 'failed', { error: error.message || 'Unknown error occurred' });
+    }
+  } finally {
+    release?.();
+    running--;
+    drainQueue();
+  }
+}
+
+function drainQueue() {
+  while (running < config.concurrency && queue.length > 0) {
+    runJob(queue.shift());
+  }
+}
+
+// Jobs of other API keys are treated as missing
+function findJob(id, apiKeyId) {
+  const job = jobs.get(id);
+  return job && job.apiKeyId === apiKeyId ? job : null;
+}
+
+/**
+ * Queue a scrape. It runs in the background as soon as a worker is free.
+ * @param {string} url - The URL to scrape
+ * @param {object} options - Scrape options (as for scrapeExhibitors, without callbacks)
+ * @param {object} owner
+ * @param {string} owner.apiKeyId - The API key that owns the job
+ * @param {(signal: AbortSignal) => Promise<() => void>} [owner.acquireSlot] - Called when the job starts; resolves to a
+ *   release function called once it is done, or rejects to fail the job (e.g. rate limiter slots)
+ * @param {() => void} [owner.onCancelledBeforeStart] - Called if the job is cancelled before its scrape started (e.g. to refund quota)
+ * @returns {object} - The job status (see getJobStatus)
+ */
+export function createJob(url, options, { apiKeyId, acquireSlot = null, onCancelledBeforeStart = null }) {
+  const job = {
+    id: crypto.randomUUID(),
+    apiKeyId,
+    acquireSlot,
+    onCancelledBeforeStart,
+    scrapeStarted: false,
+    url,
+    options,
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    progress: null,
+    exhibitors: [],
+    results: null,
+    error: null,
+    controller: new AbortController()
+  };
+
+  jobs.set(job.id, job);
+  queue.push(job);
+  console.log(`Job ${job.id} queued (${queue.length} waiting, ${running}/${config.concurrency} running)`);
+  drainQueue();
+
+  return getJobStatus(job.id, apiKeyId);
+}
+
+/**
+ * Status, latest progress and the exhibitors found so far
+ * @param {string} id - The job ID
+ * @param {string} apiKeyId - The API key asking
+ * @returns {object|null} - The job status, or null if there is no such job for this key
+ */
+export function getJobStatus(id, apiKeyId) {
+  const job = findJob(id, apiKeyId);
+  if (!job) return null;
+
+  const exhibitors = job.results || job.exhibitors;
+  return {
+    id: job.id,
+    url: job.url,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    queuePosition: job.status === 'queued' ? queue.indexOf(job) + 1 : null,
+    progress: job.progress,
+    error: job.error,
+    count: exhibitors.length,
+    data: exhibitors
+  };
+}
+
+/**
+ * Final results of a job
+ * @param {string} id - The job ID
+ * @param {string} apiKeyId - The API key asking
+ * @returns {{ status: string, results: object[]|null }|null} - null if there is no such job for this key; results is null until the job has completed
+ */
+export function getJobResults(id, apiKeyId) {
+  const job = findJob(id, apiKeyId);
+  if (!job) return null;
+  return { status: job.status, results: job.results };
+}
+
+/**
+ * Cancel a queued or running job. A running scrape is aborted through its AbortSignal.
+ * @param {string} id - The job ID
+ * @param {string} apiKeyId - The API key asking
+ * @returns {object|null} - The job status, or null if there is no such job for this key
+ */
+export function cancelJob(id, apiKeyId) {
+  const job = findJob(id, apiKeyId);
+  if (!job) return null;
+  if (FINISHED.includes(job.status)) {
+    throw new Error(`Job is already ${job.status}`);
+  }
+
+  const index = queue.indexOf(job);
+  if (index !== -1) {
+    queue.splice(index, 1);
+  }
+  job.controller?.abort();
+  finish(job, 'cancelled');
+  if (!job.scrapeStarted) {
+    job.onCancelledBeforeStart?.();
+  }
+
+  return getJobStatus(id, apiKeyId);
+}
+
+/**
+ * Queue usage, for health checks
+ * @returns {object}
+ */
+export function getJobStats() {
+  return {
+    running,
+    queued: queue.length,
+    concurrency: config.concurrency,
+    total: jobs.size
+  };
+}
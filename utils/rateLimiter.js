@@ -0,0 +1,160 @@
+import { envNumber } from '../scraper/helpers.js';
+
+// Limits per client (API key, or IP address for unauthenticated callers). State is per process.
+const config = {
+  requestsPerMinute: envNumber('RATE_LIMIT_PER_MINUTE', 10),
+  concurrentPerClient: envNumber('MAX_CONCURRENT_SCRAPES_PER_CLIENT', 2),
+  concurrentTotal: envNumber('MAX_CONCURRENT_SCRAPES', 4),
+  // A request over a concurrency cap waits this long for a slot before it is rejected
+  queueTimeout: envNumber('SCRAPE_QUEUE_TIMEOUT_MS', 30000),
+  maxQueuedPerClient: envNumber('MAX_QUEUED_SCRAPES_PER_CLIENT', 3)
+};
+
+const WINDOW_MS = 60 * 1000;
+
+// Client ID -> timestamps of requests in the last minute
+const requestTimes = new Map();
+// Client ID -> running scrapes
+const activeByClient = new Map();
+let activeTotal = 0;
+// Scrapes waiting for a slot, oldest first: { clientId, grant, timer, background }
+const waiting = [];
+
+/**
+ * Who a request is rate limited as
+ * @param {import('express').Request} req - The request (after requireApiKey, if used)
+ * @returns {string}
+ */
+export function getClientId(req) {
+  return req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`;
+}
+
+/**
+ * Count a request against the client's per-minute limit
+ * @param {string} clientId - From getClientId
+ * @returns {{ allowed: boolean, limit: number, remaining: number, retryAfter: number }} - retryAfter in seconds
+ */
+export function checkRequestRate(clientId) {
+  const now = Date.now();
+  const times = (requestTimes.get(clientId) || []).filter(t => t > now - WINDOW_MS);
+
+  if (times.length >= config.requestsPerMinute) {
+    requestTimes.set(clientId, times);
+    return {
+      allowed: false,
+      limit: config.requestsPerMinute,
+      remaining: 0,
+      retryAfter: Math.max(1, Math.ceil((times[0] + WINDOW_MS - now) / 1000))
+    };
+  }
+
+  times.push(now);
+  requestTimes.set(clientId, times);
+  // Forget clients that have been quiet for a minute so IP-keyed entries don't pile up
+  if (requestTimes.size > 1000) {
+    for (const [id, clientTimes] of requestTimes) {
+      if (clientTimes[clientTimes.length - 1] <= now - WINDOW_MS) requestTimes.delete(id);
+    }
+  }
+  return { allowed: true, limit: config.requestsPerMinute, remaining: config.requestsPerMinute - times.length, retryAfter: 0 };
+}
+
+function hasFreeSlot(clientId) {
+  return activeTotal < config.concurrentTotal && (activeByClient.get(clientId) || 0) < config.concurrentPerClient;
+}
+
+function take(clientId) {
+  activeTotal++;
+  activeByClient.set(clientId, (activeByClient.get(clientId) || 0) + 1);
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    activeTotal--;
+    const count = activeByClient.get(clientId) - 1;
+    if (count > 0) {
+      activeByClient.set(clientId, count);
+    } else {
+      activeByClient.delete(clientId);
+    }
+    grantWaiting();
+  };
+}
+
+// Hand freed slots to the oldest waiters that fit under both caps
+function grantWaiting() {
+  for (let i = 0; i < waiting.length && activeTotal < config.concurrentTotal; i++) {
+    const waiter = waiting[i];
+    if (hasFreeSlot(waiter.clientId)) {
+      waiting.splice(i--, 1);
+      waiter.grant(take(waiter.clientId));
+    }
+  }
+}
+
+/**
+ * Wait for a scrape slot under the per-client and global concurrency caps.
+ * Resolves to { release } once the scrape may start, or to { error, retryAfter } if the
+ * client already has too many scrapes queued or no slot freed up within the queue timeout.
+ * Work that is already accepted and paid for (background jobs, batch URLs) passes `wait: true`:
+ * it waits as long as it takes and doesn't count against the client's queued requests.
+ * @param {string} clientId - From getClientId
+ * @param {{ signal?: AbortSignal, wait?: boolean }} [options] - Abort to leave the queue (client went away)
+ * @returns {Promise<{ release?: () => void, error?: string, retryAfter?: number }>}
+ */
+export function acquireScrapeSlot(clientId, { signal, wait = false } = {}) {
+  if (hasFreeSlot(clientId) && !waiting.some(w => w.clientId === clientId)) {
+    return Promise.resolve({ release: take(clientId) });
+  }
+
+  const retryAfter = Math.ceil(config.queueTimeout / 1000);
+  if (!wait && waiting.filter(w => w.clientId === clientId && !w.background).length >= config.maxQueuedPerClient) {
+    return Promise.resolve({ error: 'Too many scrapes queued for this client', retryAfter });
+  }
+
+  return new Promise((resolve) => {
+    const leave = (result) => {
+      const index = waiting.indexOf(waiter);
+      if (index !== -1) waiting.splice(index, 1);
+      clearTimeout(waiter.timer);
+      signal?.removeEventListener('abort', onAbort);
+      resolve(result);
+    };
+    const onAbort = () => leave({ error: 'Request closed while queued', retryAfter });
+    const waiter = {
+      clientId,
+      background: wait,
+      grant: (release) => {
+        clearTimeout(waiter.timer);
+        signal?.removeEventListener('abort', onAbort);
+        resolve({ release });
+      },
+      timer: wait ? null : setTimeout(() => leave({ error: 'Too many concurrent scrapes, try again later', retryAfter }), config.queueTimeout)
+    };
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+    waiting.push(waiter);
+    console.log(`Scrape for ${clientId} queued (${waiting.length} waiting, ${activeTotal}/${config.concurrentTotal} running)`);
+  });
+}
+
+/**
+ * How many scrapes one client may run at once
+ * @returns {number}
+ */
+export function getClientConcurrencyLimit() {
+  return config.concurrentPerClient;
+}
+
+/**
+ * @returns {{ running: number, queued: number, clients: number, limits: object }}
+ */
+export function getRateLimitStats() {
+  return {
+    running: activeTotal,
+    queued: waiting.length,
+    clients: activeByClient.size,
+    limits: { ...config }
+  };
+}
@@ -0,0 +1,307 @@
+import crypto from 'crypto';
+import { scrapeExhibitors } from '../scraper/scraper.js';
+import { listSchedules, saveSchedule, deleteSchedule as removeSchedule } from '../scraper/store.js';
+import { parseCron, nextCronRun } from './cron.js';
+import { findApiKey, chargeScrapes, createWebsiteLookupBudget } from './apiKeys.js';
+import { validateScrapeOptions, validateShowUrl } from './scrapeRequestSchema.js';
+
+// setTimeout can't wait longer than ~24.8 days; longer waits are re-armed
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+const MIN_INTERVAL_MINUTES = 5;
+
+// Schedule ID -> pending timer
+const timers = new Map();
+// Schedules whose scrape is in progress
+const running = new Set();
+let started = false;
+
+/**
+ * When a schedule should run next, or null once it is past its end date
+ * @param {object} schedule - The schedule record
+ * @param {Date} [after] - Compute the next run after this time (default now)
+ * @returns {string|null} - ISO timestamp
+ */
+function computeNextRun(schedule, after = new Date()) {
+  let next;
+  if (schedule.cron) {
+    next = nextCronRun(schedule.cron, after);
+  } else {
+    const base = schedule.lastRunAt ? new Date(schedule.lastRunAt) : after;
+    next = new Date(Math.max(base.getTime() + schedule.intervalMinutes * 60000, after.getTime()));
+  }
+
+  if (!next || (schedule.endDate && next.getTime() > Date.parse(schedule.endDate))) {
+    return null;
+  }
+  return next.toISOString();
+}
+
+function arm(schedule) {
+  clearTimeout(timers.get(schedule.id));
+  timers.delete(schedule.id);
+  if (schedule.status !== 'active' || !schedule.nextRunAt) return;
+
+  const wait = Date.parse(schedule.nextRunAt) - Date.now();
+  const timer = setTimeout(() => {
+    timers.delete(schedule.id);
+    if (wait > MAX_TIMER_DELAY) {
+      arm(schedule);
+    } else {
+      runSchedule(schedule.id).catch((error) => {
+        // Usually the store couldn't be read or written - try again at the next slot, at the
+        // earliest MIN_INTERVAL_MINUTES from now, instead of leaving the schedule unarmed
+        console.error(`Schedule ${schedule.id}: run failed:`, error.message);
+        schedule.nextRunAt = computeNextRun(schedule, new Date(Date.now() + MIN_INTERVAL_MINUTES * 60000));
+        arm(schedule);
+      });
+    }
+  }, Math.max(0, Math.min(wait, MAX_TIMER_DELAY)));
+  timer.unref?.();
+  timers.set(schedule.id, timer);
+}
+
+async function findSchedule(id) {
+  return (await listSchedules()).find(s => s.id === id) || null;
+}
+
+// Schedules of other API keys are treated as missing
+async function findOwnSchedule(id, apiKeyId) {
+  const schedule = await findSchedule(id);
+  return schedule && schedule.apiKeyId === apiKeyId ? schedule : null;
+}
+
+async function runSchedule(id) {
+  const schedule = await findSchedule(id);
+  if (!schedule || schedule.status !== 'active' || running.has(id)) return;
+
+  running.add(id);
+  schedule.lastRunAt = new Date().toISOString();
+
+  // Every run is charged to the key that created the schedule, like a scrape request would be
+  let runId = null;
+  try {
+    const apiKey = schedule.apiKeyId ? await findApiKey(schedule.apiKeyId) : null;
+    if (!apiKey) {
+      console.log(`Schedule ${id}: skipped, no API key to charge (revoked, or the schedule predates API keys)`);
+      schedule.lastOutcome = { status: 'skipped', error: 'No API key to charge', finishedAt: new Date().toISOString() };
+    } else if (!chargeScrapes(apiKey)) {
+      console.log(`Schedule ${id}: skipped, daily scrape quota of API key ${apiKey.id} is used up`);
+      schedule.lastOutcome = { status: 'skipped', error: 'Daily scrape quota exceeded', finishedAt: new Date().toISOString() };
+    } else {
+      console.log(`Schedule ${id}: re-scraping ${schedule.url}`);
+      // Options were validated when the schedule was created; the server's own fields come last
+      const exhibitors = await scrapeExhibitors(schedule.url, {
+        findWebsites: false,
+        ...schedule.options,
+        websiteLookupBudget: createWebsiteLookupBudget(apiKey),
+        apiKeyId: apiKey.id,
+        onRunCreated: (run) => { runId = run.id; }
+      });
+      schedule.lastOutcome = { status: 'completed', runId, exhibitorCount: exhibitors.length, finishedAt: new Date().toISOString() };
+    }
+  } catch (error) {
+    console.error(`Schedule ${id}: scrape failed:`, error.message);
+    schedule.lastOutcome = { status: 'failed', runId, error: error.message, finishedAt: new Date().toISOString() };
+  } finally {
+    running.delete(id);
+  }
+
+  // The schedule may have been paused or deleted while the scrape ran
+  const current = await findSchedule(id);
+  if (!current) return;
+  current.lastRunAt = schedule.lastRunAt;
+  current.lastOutcome = schedule.lastOutcome;
+  if (current.status === 'active') {
+    current.nextRunAt = computeNextRun(current);
+    if (!current.nextRunAt) {
+      console.log(`Schedule ${id}: past its end date, stopping`);
+      current.status = 'ended';
+    }
+  }
+  await saveSchedule(current);
+  arm(current);
+}
+
+// A cron may not fire more often than intervalMinutes may: its next two runs must be
+// at least MIN_INTERVAL_MINUTES apart
+function checkCron(expression) {
+  if (typeof expression !== 'string') {
+    return 'must be a string';
+  }
+  let cron;
+  try {
+    cron = parseCron(expression);
+  } catch (error) {
+    return error.message;
+  }
+  const first = nextCronRun(cron);
+  const second = first && nextCronRun(cron, first);
+  if (second && second.getTime() - first.getTime() < MIN_INTERVAL_MINUTES * 60000) {
+    return `must not run more often than every ${MIN_INTERVAL_MINUTES} minutes`;
+  }
+  return null;
+}
+
+/**
+ * Check a schedule request
+ * @param {object} input - { url, cron | intervalMinutes, endDate, options }
+ * @returns {Array<{ field: string, message: string }>} - List of problems, empty if valid
+ */
+export function validateSchedule(input) {
+  const errors = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return [{ field: 'body', message: 'must be a JSON object' }];
+  }
+  errors.push(...validateShowUrl(input.url));
+  if ((input.cron === undefined) === (input.intervalMinutes === undefined)) {
+    errors.push({ field: 'cron', message: 'or intervalMinutes is required, but not both' });
+  }
+  if (input.cron !== undefined) {
+    const cronError = checkCron(input.cron);
+    if (cronError) errors.push({ field: 'cron', message: cronError });
+  }
+  if (input.intervalMinutes !== undefined &&
+      (!Number.isInteger(input.intervalMinutes) || input.intervalMinutes < MIN_INTERVAL_MINUTES)) {
+    errors.push({ field: 'intervalMinutes', message: `must be an integer of at least ${MIN_INTERVAL_MINUTES}` });
+  }
+  if (input.endDate !== undefined && (typeof input.endDate !== 'string' || Number.isNaN(Date.parse(input.endDate)))) {
+    errors.push({ field: 'endDate', message: 'must be a date (e.g. "2026-03-15")' });
+  }
+  if (input.options !== undefined) {
+    errors.push(...validateScrapeOptions(input.options));
+  }
+  return errors;
+}
+
+/**
+ * Register a recurring re-scrape. Runs are stored like any other scrape.
+ * @param {object} input - { url, cron | intervalMinutes, endDate, options } (see validateSchedule)
+ * @param {string} apiKeyId - The API key that owns the schedule
+ * @returns {Promise<object>} - The schedule record
+ */
+export async function createSchedule(input, apiKeyId) {
+  const errors = validateSchedule(input);
+  if (errors.length > 0) {
+    throw new Error(`Invalid schedule: ${errors.map(error => `${error.field} ${error.message}`).join('; ')}`);
+  }
+
+  const schedule = {
+    id: crypto.randomUUID(),
+    apiKeyId,
+    url: input.url,
+    cron: input.cron ?? null,
+    intervalMinutes: input.intervalMinutes ?? null,
+    // A bare date means "through the end of that day"
+    endDate: input.endDate
+      ? (/^\d{4}-\d{2}-\d{2}$/.test(input.endDate) ? `${input.endDate}T23:59:59.999Z` : new Date(input.endDate).toISOString())
+      : null,
+    options: input.options || {},
+    status: 'active',
+    createdAt: new Date().toISOString(),
+    lastRunAt: null,
+    lastOutcome: null,
+    nextRunAt: null
+  };
+  schedule.nextRunAt = computeNextRun(schedule);
+  if (!schedule.nextRunAt) {
+    schedule.status = 'ended';
+  }
+
+  await saveSchedule(schedule);
+  arm(schedule);
+  console.log(`Schedule ${schedule.id} created for ${schedule.url} - next run ${schedule.nextRunAt || 'never (end date passed)'}`);
+  return schedule;
+}
+
+/**
+ * @param {string} apiKeyId - Only schedules owned by this API key
+ * @returns {Promise<object[]>} - Schedules with their last/next run and outcome
+ */
+export async function getSchedules(apiKeyId) {
+  return (await listSchedules())
+    .filter(s => s.apiKeyId === apiKeyId)
+    .map(s => ({ ...s, running: running.has(s.id) }));
+}
+
+/**
+ * @param {string} id - The schedule ID
+ * @param {string} apiKeyId - The API key asking
+ * @returns {Promise<object|null>} - null if there is no such schedule for this key
+ */
+export async function getSchedule(id, apiKeyId) {
+  const schedule = await findOwnSchedule(id, apiKeyId);
+  return schedule ? { ...schedule, running: running.has(id) } : null;
+}
+
+/**
+ * Pause a schedule; a scrape already in progress finishes
+ * @param {string} id - The schedule ID
+ * @param {string} apiKeyId - The API key asking
+ * @returns {Promise<object|null>}
+ */
+export async function pauseSchedule(id, apiKeyId) {
+  const schedule = await findOwnSchedule(id, apiKeyId);
+  if (!schedule) return null;
+  if (schedule.status === 'ended') {
+    throw new Error('Schedule has ended');
+  }
+  schedule.status = 'paused';
+  schedule.nextRunAt = null;
+  await saveSchedule(schedule);
+  arm(schedule);
+  return schedule;
+}
+
+/**
+ * Resume a paused schedule from now
+ * @param {string} id - The schedule ID
+ * @param {string} apiKeyId - The API key asking
+ * @returns {Promise<object|null>}
+ */
+export async function resumeSchedule(id, apiKeyId) {
+  const schedule = await findOwnSchedule(id, apiKeyId);
+  if (!schedule) return null;
+  if (schedule.status === 'ended') {
+    throw new Error('Schedule has ended');
+  }
+  schedule.status = 'active';
+  schedule.nextRunAt = computeNextRun(schedule);
+  if (!schedule.nextRunAt) {
+    schedule.status = 'ended';
+  }
+  await saveSchedule(schedule);
+  arm(schedule);
+  return schedule;
+}
+
+/**
+ * Delete a schedule. Stored runs are kept.
+ * @param {string} id - The schedule ID
+ * @param {string} apiKeyId - The API key asking
+ * @returns {Promise<boolean>} - false if there was no such schedule for this key
+ */
+export async function deleteSchedule(id, apiKeyId) {
+  if (!(await findOwnSchedule(id, apiKeyId))) return false;
+  clearTimeout(timers.get(id));
+  timers.delete(id);
+  return removeSchedule(id);
+}
+
+/**
+ * Arm timers for every active schedule in the store. Missed runs (server was down) run right away.
+ */
+export async function startScheduler() {
+  if (started) return;
+  started = true;
+
+  const schedules = await listSchedules();
+  for (const schedule of schedules) {
+    if (schedule.status !== 'active') continue;
+    if (!schedule.nextRunAt) {
+      schedule.nextRunAt = computeNextRun(schedule);
+      await saveSchedule(schedule);
+    }
+    arm(schedule);
+  }
+  console.log(`Scheduler started (${schedules.filter(s => s.status === 'active').length} active schedules)`);
+}
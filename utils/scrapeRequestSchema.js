@@ -0,0 +1,306 @@
+import { validateSiteConfig, listPaginationStrategies } from '../scraper/scraper.js';
+
+// Puppeteer request resource types (for blockResourceTypes / allowResourceTypes)
+const RESOURCE_TYPES = [
+  'document', 'stylesheet', 'image', 'media', 'font', 'script', 'texttrack', 'xhr', 'fetch', 'prefetch',
+  'eventsource', 'websocket', 'manifest', 'signedexchange', 'ping', 'cspviolationreport', 'preflight', 'other'
+];
+
+const SNAPSHOT_NAME = /^[a-zA-Z0-9_-][a-zA-Z0-9._-]*$/;
+
+// Most show URLs accepted by one batch request
+const MAX_BATCH_URLS = 50;
+
+const selector = { type: 'string', minLength: 1, maxLength: 500 };
+const hostList = { type: 'array', maxItems: 50, items: { type: 'string', minLength: 1, maxLength: 253 } };
+const resourceTypeList = { type: 'array', items: { type: 'string', enum: RESOURCE_TYPES } };
+const snapshotName = { type: 'string', maxLength: 100, pattern: SNAPSHOT_NAME, patternDescription: 'letters, digits, ".", "_" and "-", not starting with "."' };
+
+function validateNetworkFieldMapping(mapping) {
+  const errors = [];
+  for (const [field, keys] of Object.entries(mapping)) {
+    const list = Array.isArray(keys) ? keys : [keys];
+    if (list.length === 0 || list.some(key => typeof key !== 'string' || !key)) {
+      errors.push({ path: field, message: 'must be a JSON key or an array of JSON keys' });
+    }
+  }
+  return errors;
+}
+
+// A site config sent with a request is held to the same limits as the request's own options:
+// its maxPages and defaultOptions would otherwise get around them
+function validateRequestSiteConfig(config) {
+  const errors = validateSiteConfig(config).map(message => ({ message }));
+  if (Number.isInteger(config.maxPages) && config.maxPages > SCRAPE_OPTIONS_SCHEMA.maxPages.max) {
+    errors.push({ path: 'maxPages', message: `must be at most ${SCRAPE_OPTIONS_SCHEMA.maxPages.max}` });
+  }
+  // validateSiteConfig reports defaultOptions that aren't an object
+  if (typeOf(config.defaultOptions) === 'object') {
+    const { siteConfig, ...defaults } = config.defaultOptions;
+    if (siteConfig !== undefined) {
+      errors.push({ path: 'defaultOptions.siteConfig', message: 'is not a supported field' });
+    }
+    for (const error of validateScrapeOptions(defaults, 'defaultOptions')) {
+      errors.push({ path: error.field, message: error.message });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Every option a client may send to /api/scrape, /api/scrape/batch, /api/jobs and /api/schedules.
+ * Callbacks, the abort signal and quota budgets are set by the server and can't be sent.
+ */
+export const SCRAPE_OPTIONS_SCHEMA = {
+  findWebsites: { type: 'boolean' },
+  maxWebsiteSearches: { type: 'integer', min: 0, max: 10000 },
+  handlePagination: { type: 'boolean' },
+  paginationStrategy: { type: 'string', enum: listPaginationStrategies() },
+  maxPages: { type: 'integer', min: 1, max: 1000 },
+  maxItems: { type: 'integer', min: 1, max: 100000 },
+  maxPaginationDuration: { type: 'integer', min: 1000, max: 60 * 60 * 1000 },
+  urlPagination: { type: 'boolean' },
+  pageParam: { type: 'string', minLength: 1, maxLength: 50 },
+  pageUrlTemplate: {
+    type: 'string',
+    maxLength: 2000,
+    validate: (value) => (/\{page\}/.test(value) ? [] : [{ message: 'must contain a {page} placeholder' }])
+  },
+  parallelPages: { type: 'integer', min: 1, max: 10 },
+  loadMoreSelector: selector,
+  scrollContainerSelector: selector,
+  crawlDetails: { type: 'boolean' },
+  maxDetailPages: { type: 'integer', min: 0, max: 10000 },
+  detailConcurrency: { type: 'integer', min: 1, max: 10 },
+  captureNetwork: { type: 'boolean' },
+  networkFieldMapping: { type: 'object', validate: validateNetworkFieldMapping },
+  blockResources: { type: 'boolean' },
+  blockResourceTypes: resourceTypeList,
+  allowResourceTypes: resourceTypeList,
+  blockHosts: hostList,
+  allowHosts: hostList,
+  recordSnapshot: snapshotName,
+  replaySnapshot: snapshotName,
+  siteConfig: { type: 'object', validate: validateRequestSiteConfig },
+  saveRun: { type: 'boolean' },
+  debug: { type: 'boolean' }
+};
+
+const showUrl = {
+  type: 'string',
+  required: true,
+  maxLength: 2000,
+  validate: (value) => {
+    try {
+      const { protocol } = new URL(value);
+      return ['http:', 'https:'].includes(protocol) ? [] : [{ message: 'must be an http or https URL' }];
+    } catch (e) {
+      return [{ message: 'must be an absolute URL' }];
+    }
+  }
+};
+
+/**
+ * Validate a show URL on its own (e.g. the url of a schedule): an absolute http or https URL
+ * @param {*} value - The URL sent by the client
+ * @param {string} [field] - Name of the field in error messages
+ * @returns {Array<{ field: string, message: string }>} - Empty if valid
+ */
+export function validateShowUrl(value, field = 'url') {
+  if (value === undefined) {
+    return [{ field, message: 'is required' }];
+  }
+  const errors = [];
+  checkValue(value, showUrl, field, errors);
+  return errors;
+}
+
+// Top-level request body fields (options is checked against SCRAPE_OPTIONS_SCHEMA)
+const BODY_SCHEMA = {
+  url: showUrl,
+  options: { type: 'object' },
+  stream: { type: 'boolean' }
+};
+
+// /api/jobs bodies: a scrape request without streaming
+const JOB_BODY_SCHEMA = {
+  url: showUrl,
+  options: { type: 'object' }
+};
+
+// /api/scrape/batch bodies. Each urls item is a URL or { url, options } (BATCH_ENTRY_SCHEMA).
+const BATCH_BODY_SCHEMA = {
+  urls: { type: 'array', required: true, minItems: 1, maxItems: MAX_BATCH_URLS },
+  options: { type: 'object' },
+  concurrency: { type: 'integer', min: 1, max: MAX_BATCH_URLS },
+  stream: { type: 'boolean' }
+};
+
+const BATCH_ENTRY_SCHEMA = {
+  url: showUrl,
+  options: { type: 'object' }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Check one value against its rule, pushing { field, message } for every problem
+function checkValue(value, rule, field, errors) {
+  if (!matchesType(value, rule.type)) {
+    errors.push({ field, message: `must be ${rule.type === 'integer' || rule.type === 'array' || rule.type === 'object' ? 'an' : 'a'} ${rule.type}` });
+    return;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    errors.push({ field, message: `must be one of: ${rule.enum.join(', ')}` });
+  }
+  if (rule.min !== undefined && value < rule.min) {
+    errors.push({ field, message: `must be at least ${rule.min}` });
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    errors.push({ field, message: `must be at most ${rule.max}` });
+  }
+  if (rule.type === 'string') {
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      errors.push({ field, message: rule.minLength === 1 ? 'must not be empty' : `must be at least ${rule.minLength} characters` });
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      errors.push({ field, message: `must be at most ${rule.maxLength} characters` });
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      errors.push({ field, message: `may only contain ${rule.patternDescription}` });
+    }
+  }
+  if (rule.type === 'array') {
+    if (rule.minItems !== undefined && value.length < rule.minItems) {
+      errors.push({ field, message: rule.minItems === 1 ? 'must not be empty' : `must have at least ${rule.minItems} items` });
+    }
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      errors.push({ field, message: `must have at most ${rule.maxItems} items` });
+    }
+    if (rule.items) {
+      value.forEach((item, i) => checkValue(item, rule.items, `${field}[${i}]`, errors));
+    }
+  }
+  if (rule.validate) {
+    for (const error of rule.validate(value)) {
+      errors.push({ field: error.path ? `${field}.${error.path}` : field, message: error.message });
+    }
+  }
+}
+
+function checkObject(object, schema, prefix, errors) {
+  for (const key of Object.keys(object)) {
+    if (!Object.hasOwn(schema, key)) {
+      errors.push({ field: `${prefix}${key}`, message: 'is not a supported field' });
+    }
+  }
+  for (const [key, rule] of Object.entries(schema)) {
+    if (object[key] === undefined) {
+      if (rule.required) errors.push({ field: `${prefix}${key}`, message: 'is required' });
+      continue;
+    }
+    checkValue(object[key], rule, `${prefix}${key}`, errors);
+  }
+}
+
+// Check a body's fields plus its scrape options (if they are an object; checkObject reports it otherwise)
+function checkBody(body, schema, prefix, errors) {
+  checkObject(body, schema, prefix, errors);
+  if (typeOf(body.options ?? {}) === 'object') {
+    checkObject(body.options ?? {}, SCRAPE_OPTIONS_SCHEMA, `${prefix}options.`, errors);
+  }
+}
+
+/**
+ * Validate scrape options on their own (e.g. the options of a schedule)
+ * @param {object} options - The options sent by the client
+ * @param {string} [field] - Name of the options field in error messages
+ * @returns {Array<{ field: string, message: string }>} - Empty if valid
+ */
+export function validateScrapeOptions(options, field = 'options') {
+  const errors = [];
+  if (typeOf(options) !== 'object') {
+    return [{ field, message: 'must be an object' }];
+  }
+  checkObject(options, SCRAPE_OPTIONS_SCHEMA, `${field}.`, errors);
+  return errors;
+}
+
+/**
+ * Validate a /api/scrape request body against the declared schema
+ * @param {object} body - The parsed request body
+ * @returns {{ errors: Array<{ field: string, message: string }>, url?: string, options?: object, stream?: boolean }}
+ *   When errors is empty, url/options/stream hold the validated values (options only has declared keys)
+ */
+export function validateScrapeRequest(body) {
+  const errors = [];
+  if (typeOf(body) !== 'object') {
+    return { errors: [{ field: 'body', message: 'must be a JSON object' }] };
+  }
+
+  checkBody(body, BODY_SCHEMA, '', errors);
+  if (errors.length > 0) {
+    return { errors };
+  }
+  return { errors, url: body.url, options: { ...body.options }, stream: body.stream === true };
+}
+
+/**
+ * Validate a /api/jobs request body ({ url, options })
+ * @param {object} body - The parsed request body
+ * @returns {{ errors: Array<{ field: string, message: string }>, url?: string, options?: object }}
+ */
+export function validateJobRequest(body) {
+  const errors = [];
+  if (typeOf(body) !== 'object') {
+    return { errors: [{ field: 'body', message: 'must be a JSON object' }] };
+  }
+
+  checkBody(body, JOB_BODY_SCHEMA, '', errors);
+  if (errors.length > 0) {
+    return { errors };
+  }
+  return { errors, url: body.url, options: { ...body.options } };
+}
+
+/**
+ * Validate a /api/scrape/batch request body: { urls, options, concurrency, stream }, where each
+ * urls item is a URL or { url, options } and every options object is checked against SCRAPE_OPTIONS_SCHEMA
+ * @param {object} body - The parsed request body
+ * @returns {{ errors: Array<{ field: string, message: string }>, entries?: Array<{ url: string, options: object }>,
+ *   options?: object, concurrency?: number, stream?: boolean }}
+ */
+export function validateBatchRequest(body) {
+  const errors = [];
+  if (typeOf(body) !== 'object') {
+    return { errors: [{ field: 'body', message: 'must be a JSON object' }] };
+  }
+
+  checkBody(body, BATCH_BODY_SCHEMA, '', errors);
+  const urls = Array.isArray(body.urls) ? body.urls : [];
+  urls.forEach((item, i) => {
+    if (typeOf(item) === 'string') {
+      checkValue(item, showUrl, `urls[${i}]`, errors);
+    } else if (typeOf(item) === 'object') {
+      checkBody(item, BATCH_ENTRY_SCHEMA, `urls[${i}].`, errors);
+    } else {
+      errors.push({ field: `urls[${i}]`, message: 'must be a URL or an object with url and options' });
+    }
+  });
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+  const entries = urls.map(item => (typeof item === 'string' ? { url: item, options: {} } : { url: item.url, options: { ...item.options } }));
+  return { errors, entries, options: { ...body.options }, concurrency: body.concurrency, stream: body.stream === true };
+}
@@ -0,0 +1,137 @@
+import crypto from 'crypto';
+import { envNumber } from '../scraper/helpers.js';
+
+const config = {
+  // Comment line sent to every open stream so idle proxies keep the connection
+  heartbeatInterval: envNumber('SSE_HEARTBEAT_INTERVAL', 15000),
+  // How long a scrape keeps running with no client attached, waiting for a reconnect
+  resumeGracePeriod: envNumber('SSE_RESUME_GRACE_PERIOD', 30000),
+  // How long a finished session's events stay available for a late reconnect
+  retention: envNumber('SSE_RETENTION_MS', 5 * 60 * 1000),
+  maxBufferedEvents: envNumber('SSE_MAX_BUFFERED_EVENTS', 20000)
+};
+
+const sessions = new Map();
+
+/**
+ * Parse a Last-Event-ID header. Event IDs look like "<sessionId>:<sequence>".
+ * @param {string|undefined} header - The Last-Event-ID header value
+ * @returns {{ sessionId: string, seq: number }|null}
+ */
+export function parseLastEventId(header) {
+  const match = /^([\w-]+):(\d+)$/.exec((header || '').trim());
+  return match ? { sessionId: match[1], seq: Number(match[2]) } : null;
+}
+
+/**
+ * Look up a live or recently finished stream session. Sessions of other API keys are treated as missing.
+ * @param {string} id - The session ID
+ * @param {string} apiKeyId - The API key asking
+ * @returns {object|null}
+ */
+export function getSseSession(id, apiKeyId) {
+  const session = sessions.get(id);
+  return session && session.apiKeyId === apiKeyId ? session : null;
+}
+
+/**
+ * Start a resumable SSE session. Every event gets an ID and is buffered, so a client that
+ * reconnects with Last-Event-ID gets the events it missed and then continues live.
+ * The session's signal is aborted once no client has been attached for the grace period.
+ * @param {object} owner
+ * @param {string} owner.apiKeyId - The API key that started the stream; only it can reattach
+ * @returns {object} - Session with id, apiKeyId, signal, attach(res, afterSeq), send(payload) and end()
+ */
+export function createSseSession({ apiKeyId }) {
+  const controller = new AbortController();
+  const events = [];
+  const clients = new Set();
+  let seq = 0;
+  let finished = false;
+  let graceTimer = null;
+
+  const write = (res, event) => {
+    res.write(`id: ${session.id}:${event.seq}\ndata: ${event.data}\n\n`);
+  };
+
+  const detach = (res) => {
+    clients.delete(res);
+    if (clients.size === 0 && !finished) {
+      console.log(`SSE session ${session.id}: no client attached, cancelling in ${config.resumeGracePeriod}ms unless one reconnects`);
+      graceTimer = setTimeout(() => {
+        console.log(`SSE session ${session.id}: client did not reconnect - cancelling scrape`);
+        controller.abort();
+      }, config.resumeGracePeriod);
+    }
+  };
+
+  const heartbeat = setInterval(() => {
+    clients.forEach(res => res.write(': heartbeat\n\n'));
+  }, config.heartbeatInterval);
+  heartbeat.unref?.();
+
+  const session = {
+    id: crypto.randomUUID(),
+    apiKeyId,
+    signal: controller.signal,
+
+    /**
+     * Attach a response: send the SSE headers, replay buffered events after `afterSeq`, then stream live
+     * @param {import('express').Response} res - The response to stream to
+     * @param {number} [afterSeq] - Sequence number of the last event the client received
+     */
+    attach(res, afterSeq = 0) {
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+      res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
+      res.setHeader('X-Scrape-Session', session.id);
+      res.flushHeaders?.();
+
+      const missed = events.filter(event => event.seq > afterSeq);
+      if (afterSeq > 0) {
+        console.log(`SSE session ${session.id}: client resumed after event ${afterSeq}, replaying ${missed.length} events`);
+      }
+      missed.forEach(event => write(res, event));
+
+      if (finished) {
+        res.end();
+        return;
+      }
+
+      clearTimeout(graceTimer);
+      clients.add(res);
+      res.on('close', () => detach(res));
+    },
+
+    /**
+     * Number, buffer and broadcast an event
+     * @param {object} payload - Event data, serialized as JSON
+     */
+    send(payload) {
+      const event = { seq: ++seq, data: JSON.stringify(payload) };
+      events.push(event);
+      if (events.length > config.maxBufferedEvents) {
+        events.shift();
+      }
+      clients.forEach(res => write(res, event));
+    },
+
+    /**
+     * Close every attached stream; the buffer stays available for late reconnects for a while
+     */
+    end() {
+      finished = true;
+      clearInterval(heartbeat);
+      clearTimeout(graceTimer);
+      clients.forEach(res => res.end());
+      clients.clear();
+
+      const timer = setTimeout(() => sessions.delete(session.id), config.retention);
+      timer.unref?.();
+    }
+  };
+
+  sessions.set(session.id, session);
+  return session;
+}